@@ -0,0 +1,67 @@
+/**
+ * Compares replaying a StreamBuffer through iterate and through getStream.
+ * Usage: node bench/iterate.js
+ */
+
+const StreamBuffer = require('../index.js')
+
+const CHUNK_SIZE = 1024
+const CHUNK_COUNT = 100000
+const RUNS = 5
+
+async function fill (stream) {
+  const chunk = Buffer.alloc(CHUNK_SIZE, 0x55)
+
+  for (let i = 0; i < CHUNK_COUNT; i++) {
+    if (!stream.write(chunk)) {
+      await new Promise(resolve => stream.once('drain', resolve))
+    }
+  }
+
+  await new Promise(resolve => stream.end(resolve))
+}
+
+async function time (name, fn) {
+  const start = process.hrtime()
+
+  for (let i = 0; i < RUNS; i++) {
+    if (await fn() !== CHUNK_SIZE * CHUNK_COUNT) {
+      throw new Error('incomplete replay!')
+    }
+  }
+
+  const [seconds, nanoseconds] = process.hrtime(start)
+  const duration = (seconds * 1e3 + nanoseconds / 1e6) / RUNS
+
+  console.log(`${name}: ${duration.toFixed(1)} ms per replay`)
+}
+
+async function main () {
+  const stream = new StreamBuffer()
+  await fill(stream)
+
+  await time('iterate', async () => {
+    let length = 0
+
+    for await (const chunk of stream.iterate({ offset: 0 })) {
+      length += chunk.length
+    }
+
+    return length
+  })
+
+  await time('getStream', async () => {
+    let length = 0
+
+    for await (const chunk of stream.getStream(null, 0)) {
+      length += chunk.length
+    }
+
+    return length
+  })
+}
+
+main().catch(error => {
+  console.error(error)
+  process.exitCode = 1
+})
@@ -0,0 +1,55 @@
+/**
+ * Measures the read-latency of getBuffer with a growing number of retained chunks.
+ * Usage: node bench/lookup.js [coalesceSize]
+ */
+
+const StreamBuffer = require('../index.js')
+
+const CHUNK_SIZE = 16
+const CHUNK_COUNTS = [10000, 100000, 1000000]
+const READS = 100000
+
+async function fill (stream, count) {
+  const chunk = Buffer.alloc(CHUNK_SIZE, 0x55)
+
+  for (let i = 0; i < count; i++) {
+    if (!stream.write(chunk)) {
+      await new Promise(resolve => stream.once('drain', resolve))
+    }
+  }
+
+  await new Promise(resolve => stream.end(resolve))
+}
+
+async function measure (count, coalesceSize) {
+  const stream = new StreamBuffer({ coalesceSize })
+  await fill(stream, count)
+
+  const size = stream.size()
+  const start = process.hrtime()
+
+  for (let i = 0; i < READS; i++) {
+    const offset = Math.floor(Math.random() * (size - CHUNK_SIZE))
+    await stream.getBuffer(CHUNK_SIZE, offset)
+  }
+
+  const [seconds, nanoseconds] = process.hrtime(start)
+  const latency = (seconds * 1e9 + nanoseconds) / READS
+
+  console.log(`${count} chunks: ${stream._store.count()} stored, ${latency.toFixed(0)} ns per read`)
+}
+
+async function main () {
+  const coalesceSize = parseInt(process.argv[2], 10) || 0
+
+  console.log(`coalesceSize: ${coalesceSize}`)
+
+  for (const count of CHUNK_COUNTS) {
+    await measure(count, coalesceSize)
+  }
+}
+
+main().catch(error => {
+  console.error(error)
+  process.exitCode = 1
+})
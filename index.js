@@ -1,3 +1,19 @@
+const ChunkStore = require('./src/ChunkStore')
+const CompressedChunkStore = require('./src/CompressedChunkStore')
+const FileChunkStore = require('./src/FileChunkStore')
+const MemoryChunkStore = require('./src/MemoryChunkStore')
+const ObjectStreamBuffer = require('./src/ObjectStreamBuffer')
 const StreamBuffer = require('./src/StreamBuffer')
+const errors = require('./src/errors')
 
 module.exports = StreamBuffer
+module.exports.ChunkStore = ChunkStore
+module.exports.CompressedChunkStore = CompressedChunkStore
+module.exports.FileChunkStore = FileChunkStore
+module.exports.MemoryChunkStore = MemoryChunkStore
+module.exports.ObjectStreamBuffer = ObjectStreamBuffer
+module.exports.BufferDestroyedError = errors.BufferDestroyedError
+module.exports.ChunkEvictedError = errors.ChunkEvictedError
+module.exports.MaxBufferSizeError = errors.MaxBufferSizeError
+module.exports.OutOfBoundsError = errors.OutOfBoundsError
+module.exports.StreamBufferError = errors.StreamBufferError
@@ -0,0 +1,103 @@
+/**
+ * Interface for the storage-backends of the StreamBuffer.
+ *
+ * A store holds a continuous range of the stream, which starts at 'start()' and ends at 'end()'.
+ * 'advance', 'append', 'read', 'evict', 'trim' and 'destroy' may either return their result directly or a Promise of it.
+ * The StreamBuffer makes sure, that calls to 'advance', 'append', 'evict' and 'trim' never overlap.
+ */
+class ChunkStore {
+  /**
+   * Gets the offset of the first retained byte
+   * @returns {number} offset relative to the start of the stream
+   */
+  start () {
+    throw new Error('not implemented!')
+  }
+
+  /**
+   * Gets the offset right after the last retained byte
+   * @returns {number} offset relative to the start of the stream
+   */
+  end () {
+    throw new Error('not implemented!')
+  }
+
+  /**
+   * Gets the number of retained chunks
+   * @returns {number} number of chunks
+   */
+  count () {
+    throw new Error('not implemented!')
+  }
+
+  /**
+   * Gets the number of bytes the retained chunks occupy in memory, defaults to their logical size
+   * @returns {number} number of bytes
+   */
+  memoryUsage () {
+    return this.end() - this.start()
+  }
+
+  /**
+   * Gets the offset right after the chunk, which would be dropped by the next call to 'evict'
+   * @returns {number} offset relative to the start of the stream
+   */
+  nextEvictionEnd () {
+    throw new Error('not implemented!')
+  }
+
+  /**
+   * Moves an empty store forward, so the next appended chunk starts at an offset
+   * @param {number} offset offset relative to the start of the stream, 'offset >= end()'
+   * @returns {void|Promise<void>}
+   */
+  advance (offset) {
+    throw new Error('not implemented!')
+  }
+
+  /**
+   * Stores a new chunk at the end of the store
+   * @param {Buffer} chunk chunk to store
+   * @returns {void|Promise<void>}
+   */
+  append (chunk) {
+    throw new Error('not implemented!')
+  }
+
+  /**
+   * Reads from a retained chunk. Might return less data than requested, but never zero bytes.
+   * @param {number} offset offset relative to the start of the stream, 'start() <= offset < end()'
+   * @param {number} end offset where to stop reading, might be 'Infinity'
+   * @returns {Buffer|Promise<Buffer>} requested data
+   */
+  read (offset, end) {
+    throw new Error('not implemented!')
+  }
+
+  /**
+   * Drops the oldest retained chunk
+   * @returns {void|Promise<void>}
+   */
+  evict () {
+    throw new Error('not implemented!')
+  }
+
+  /**
+   * Drops the data before an offset from the oldest retained chunk
+   * @param {number} offset offset relative to the start of the stream, 'start() < offset < nextEvictionEnd()'
+   * @returns {void|Promise<void>}
+   */
+  trim (offset) {
+    throw new Error('not implemented!')
+  }
+
+  /**
+   * Drops all retained chunks and frees all resources
+   * @returns {void|Promise<void>}
+   */
+  destroy () {
+    throw new Error('not implemented!')
+  }
+}
+
+module.exports = ChunkStore
@@ -0,0 +1,166 @@
+const zlib = require('zlib')
+const { promisify } = require('util')
+const MemoryChunkStore = require('./MemoryChunkStore')
+
+const codecs = {
+  deflate: ['deflate', 'inflate'],
+  gzip: ['gzip', 'gunzip'],
+  brotli: ['brotliCompress', 'brotliDecompress']
+}
+
+/**
+ * ChunkStore, which compresses older chunks in the background and decompresses them on demand
+ */
+class CompressedChunkStore extends MemoryChunkStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.algorithm] 'deflate', 'gzip' or 'brotli', defaults to 'deflate'
+   * @param {number} [options.compressAfter] number of most recent bytes kept uncompressed, defaults to 0
+   * @param {number} [options.coalesceSize] target size for merging small consecutive chunks, defaults to 0 (disabled)
+   */
+  constructor (options) {
+    super(options)
+
+    options = options || {}
+    const codec = codecs[options.algorithm || 'deflate']
+
+    if (!codec || typeof zlib[codec[0]] !== 'function') {
+      throw new Error('unsupported compression!')
+    }
+
+    this._compress = promisify(zlib[codec[0]])
+    this._decompress = promisify(zlib[codec[1]])
+    this._compressAfter = options.compressAfter || 0
+    this._memorySize = 0
+    this._compressedEnd = 0 // chunks before this offset are compressed or not worth it
+    this._compressing = false
+    this._compression = Promise.resolve() // current pass of _compressChunks
+    this._inflated = null // { chunk, data }, decompressed chunk of the last read
+    this._destroyed = false
+  }
+
+  async _compressChunks () {
+    this._compressing = true
+
+    while (!this._destroyed) {
+      const offset = Math.max(this._compressedEnd, this.start())
+
+      if (offset >= this._end) {
+        break
+      }
+
+      const chunk = this._findChunk(offset)
+
+      // keep the most recent chunks and the one small writes are still coalesced into
+      if (this._end - chunk.end < this._compressAfter || (chunk.buffer && chunk.end === this._end && chunk.chunk.length < chunk.buffer.length)) {
+        break
+      }
+
+      chunk.buffer = null
+      this._compressedEnd = chunk.end
+
+      // the chunk might get trimmed in the meantime, the compressed data still starts here
+      const start = chunk.start
+      let compressed = null
+
+      try {
+        compressed = await this._compress(chunk.chunk)
+      } catch (error) {
+        // compression is only an optimization, the chunk stays uncompressed
+      }
+
+      // chunk might have been dropped in the meantime or might not be compressible
+      if (compressed !== null && chunk.chunk !== null && compressed.length < chunk.chunk.length) {
+        this._memorySize -= chunk.chunk.length - compressed.length
+        chunk.chunk = null
+        chunk.compressed = compressed
+        chunk.compressedStart = start
+      }
+    }
+
+    this._compressing = false
+  }
+
+  advance (offset) {
+    super.advance(offset)
+    this._compressedEnd = offset
+  }
+
+  append (chunk) {
+    super.append(chunk)
+    this._memorySize += chunk.length
+
+    if (!this._compressing) {
+      this._compression = this._compressChunks()
+    }
+  }
+
+  /**
+   * Waits for the background compression to catch up with the appended chunks
+   * @returns {Promise<void>}
+   */
+  async flush () {
+    await this._compression
+  }
+
+  read (offset, end) {
+    const chunk = this._findChunk(offset)
+
+    if (chunk.chunk !== null) {
+      return chunk.chunk.slice(offset - chunk.start, end - chunk.start)
+    }
+
+    // consecutive reads of slices mostly hit the same chunk
+    if (this._inflated === null || this._inflated.chunk !== chunk) {
+      const data = this._decompress(chunk.compressed)
+
+      this._inflated = { chunk, data }
+      data.catch(() => {
+        if (this._inflated !== null && this._inflated.data === data) {
+          this._inflated = null
+        }
+      })
+    }
+
+    return this._inflated.data.then(data => data.slice(offset - chunk.compressedStart, end - chunk.compressedStart))
+  }
+
+  evict () {
+    const chunk = this._shiftChunk()
+
+    if (this._inflated !== null && this._inflated.chunk === chunk) {
+      this._inflated = null
+    }
+
+    this._memorySize -= chunk.chunk !== null ? chunk.chunk.length : chunk.compressed.length
+    chunk.chunk = null
+    chunk.compressed = null
+  }
+
+  trim (offset) {
+    const chunk = this._chunks[this._head]
+
+    // compressed data can't be cut, reads skip the trimmed part instead
+    if (chunk.chunk === null) {
+      chunk.start = offset
+
+      return
+    }
+
+    this._memorySize -= offset - chunk.start
+    super.trim(offset)
+  }
+
+  destroy () {
+    super.destroy()
+    this._inflated = null
+    this._destroyed = true
+    this._memorySize = 0
+  }
+
+  memoryUsage () {
+    return this._memorySize
+  }
+}
+
+module.exports = CompressedChunkStore
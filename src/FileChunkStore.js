@@ -0,0 +1,153 @@
+const MemoryChunkStore = require('./MemoryChunkStore')
+const SpillFile = require('./SpillFile')
+
+const DEFAULT_SEGMENT_SIZE = 64 * 1024 * 1024
+
+/**
+ * ChunkStore, which moves chunks beyond a memory budget to a temporary file
+ */
+class FileChunkStore extends MemoryChunkStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.memoryLimit] maximum number of bytes kept in memory (plus up to one coalesced chunk), defaults to 0
+   * @param {string} [options.dir] directory for the temporary file, defaults to the os temp-dir
+   * @param {number} [options.segmentSize] size after which a new temporary file is started, defaults to 64 MiB;
+   * files get removed, once all of their chunks are dropped
+   * @param {number} [options.coalesceSize] target size for merging small consecutive chunks, defaults to 0 (disabled)
+   */
+  constructor (options) {
+    super(options)
+
+    options = options || {}
+    this._memoryLimit = options.memoryLimit || 0
+    this._dir = options.dir
+    this._segmentSize = options.segmentSize || DEFAULT_SEGMENT_SIZE
+    this._file = new SpillFile(this._dir)
+    this._fileChunks = new Map() // SpillFile -> number of retained chunks stored in it
+    this._memorySize = 0
+    this._spilledEnd = 0 // chunks before this offset are stored in the file
+  }
+
+  async _spillChunks () {
+    while (this._memorySize > this._memoryLimit) {
+      const chunk = this._findChunk(Math.max(this._spilledEnd, this.start()))
+
+      // keep the last chunk in memory, while small writes are still coalesced into it
+      if (chunk.buffer && chunk.end === this._end && chunk.chunk.length < chunk.buffer.length) {
+        return
+      }
+
+      if (this._file.size >= this._segmentSize) {
+        await this._replaceFile()
+      }
+
+      const file = this._file
+      chunk.buffer = null
+      this._spilledEnd = chunk.end
+
+      const position = await file.append(chunk.chunk)
+
+      // chunk might have been dropped in the meantime
+      if (chunk.chunk !== null) {
+        this._memorySize -= chunk.chunk.length
+        chunk.chunk = null
+        chunk.file = file
+        chunk.position = position
+        this._fileChunks.set(file, (this._fileChunks.get(file) || 0) + 1)
+      }
+    }
+  }
+
+  // continues spilling into a new file, the old one stays until its chunks are dropped
+  async _replaceFile () {
+    const file = this._file
+    this._file = new SpillFile(this._dir)
+
+    if (!this._fileChunks.has(file)) {
+      await file.close()
+    }
+  }
+
+  advance (offset) {
+    super.advance(offset)
+    this._spilledEnd = offset
+  }
+
+  async append (chunk) {
+    super.append(chunk)
+    this._memorySize += chunk.length
+
+    await this._spillChunks()
+  }
+
+  async read (offset, end) {
+    const chunk = this._findChunk(offset)
+
+    if (chunk.chunk !== null) {
+      return chunk.chunk.slice(offset - chunk.start, end - chunk.start)
+    }
+
+    const length = Math.min(end, chunk.end) - offset
+
+    return chunk.file.read(chunk.position + offset - chunk.start, length)
+  }
+
+  async evict () {
+    const chunk = this._shiftChunk()
+
+    if (chunk.chunk !== null) {
+      this._memorySize -= chunk.chunk.length
+      chunk.chunk = null
+
+      return
+    }
+
+    const count = this._fileChunks.get(chunk.file) - 1
+
+    if (count > 0) {
+      this._fileChunks.set(chunk.file, count)
+
+      return
+    }
+
+    // the disk-space of a file is only reclaimed, once all of its chunks are gone
+    this._fileChunks.delete(chunk.file)
+
+    if (chunk.file === this._file) {
+      await this._replaceFile()
+    } else {
+      await chunk.file.close()
+    }
+  }
+
+  trim (offset) {
+    const chunk = this._chunks[this._head]
+
+    if (chunk.chunk === null) {
+      chunk.position += offset - chunk.start
+      chunk.start = offset
+
+      return
+    }
+
+    this._memorySize -= offset - chunk.start
+    super.trim(offset)
+  }
+
+  memoryUsage () {
+    return this._memorySize
+  }
+
+  async destroy () {
+    super.destroy()
+    this._memorySize = 0
+    this._spilledEnd = this._end
+
+    const files = new Set(this._fileChunks.keys()).add(this._file)
+    this._fileChunks.clear()
+
+    await Promise.all(Array.from(files, file => file.close()))
+  }
+}
+
+module.exports = FileChunkStore
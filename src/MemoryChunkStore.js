@@ -0,0 +1,148 @@
+const ChunkStore = require('./ChunkStore')
+
+// number of evicted slots to collect before compacting the chunk-index
+const MIN_COMPACT_SIZE = 1024
+
+/**
+ * Default ChunkStore, which keeps all chunks in memory
+ */
+class MemoryChunkStore extends ChunkStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.coalesceSize] target size for merging small consecutive chunks, defaults to 0 (disabled)
+   */
+  constructor (options) {
+    super()
+
+    options = options || {}
+    this._coalesceSize = options.coalesceSize || 0
+
+    this._chunks = [] // { chunk, end, start, buffer }
+    this._head = 0 // index of the oldest retained chunk
+    this._end = 0
+  }
+
+  _findChunk (offset) {
+    let low = this._head
+    let high = this._chunks.length - 1
+
+    while (low < high) {
+      const mid = (low + high) >>> 1
+
+      if (this._chunks[mid].end <= offset) {
+        low = mid + 1
+      } else {
+        high = mid
+      }
+    }
+
+    return this._chunks[low]
+  }
+
+  _shiftChunk () {
+    const chunk = this._chunks[this._head]
+
+    this._chunks[this._head] = undefined
+    this._head++
+
+    // drop evicted slots, once they make up the bigger part of the index
+    if (this._head >= MIN_COMPACT_SIZE && this._head * 2 >= this._chunks.length) {
+      this._chunks = this._chunks.slice(this._head)
+      this._head = 0
+    }
+
+    return chunk
+  }
+
+  _coalesceChunk (chunk) {
+    const last = this._chunks[this._chunks.length - 1]
+
+    if (this.count() > 0 && last.buffer && last.chunk.length + chunk.length <= last.buffer.length) {
+      // append to the unused space of the last chunk, slices handed out before stay untouched
+      chunk.copy(last.buffer, last.chunk.length)
+      last.chunk = last.buffer.slice(0, last.chunk.length + chunk.length)
+      last.end += chunk.length
+
+      return
+    }
+
+    const buffer = Buffer.allocUnsafe(this._coalesceSize)
+    chunk.copy(buffer)
+
+    this._chunks.push({
+      chunk: buffer.slice(0, chunk.length),
+      end: this._end + chunk.length,
+      start: this._end,
+      buffer
+    })
+  }
+
+  start () {
+    if (this.count() === 0) {
+      return this._end
+    }
+
+    return this._chunks[this._head].start
+  }
+
+  end () {
+    return this._end
+  }
+
+  count () {
+    return this._chunks.length - this._head
+  }
+
+  nextEvictionEnd () {
+    return this._chunks[this._head].end
+  }
+
+  advance (offset) {
+    if (this.count() > 0) {
+      throw new Error('store not empty!')
+    }
+
+    this._end = offset
+  }
+
+  append (chunk) {
+    if (chunk.length < this._coalesceSize) {
+      this._coalesceChunk(chunk)
+    } else {
+      this._chunks.push({
+        chunk,
+        end: this._end + chunk.length,
+        start: this._end,
+        buffer: null
+      })
+    }
+
+    this._end += chunk.length
+  }
+
+  read (offset, end) {
+    const chunk = this._findChunk(offset)
+
+    return chunk.chunk.slice(offset - chunk.start, end - chunk.start)
+  }
+
+  evict () {
+    this._shiftChunk()
+  }
+
+  trim (offset) {
+    const chunk = this._chunks[this._head]
+
+    chunk.chunk = chunk.chunk.slice(offset - chunk.start)
+    chunk.start = offset
+    // the chunk no longer starts at the beginning of its buffer, so nothing can be coalesced into it
+    chunk.buffer = null
+  }
+
+  destroy () {
+    this._chunks = []
+    this._head = 0
+  }
+}
+
+module.exports = MemoryChunkStore
@@ -0,0 +1,135 @@
+const MemoryChunkStore = require('./MemoryChunkStore')
+const ObjectStreamBufferCursor = require('./ObjectStreamBufferCursor')
+const StreamBuffer = require('./StreamBuffer')
+
+// number of evicted record-sizes to collect before compacting them
+const MIN_COMPACT_SIZE = 1024
+
+/**
+ * An object-mode StreamBuffer, which replays arbitrary records. Offsets, lengths and 'size' count records.
+ * The 'evict' event and 'evictTo' receive every evicted record on its own.
+ */
+class ObjectStreamBuffer extends StreamBuffer {
+  /**
+   * @param {Object} [options] same as for StreamBuffer (without spilling and coalescing) and the following
+   * @param {number} [options.maxSize] maximum number of retained records or their maximum total size, if 'sizeOf' is given
+   * @param {Function} [options.sizeOf] function returning the size of a record, which gets counted against 'maxSize'
+   */
+  constructor (options) {
+    options = Object.assign({}, options, { objectMode: true })
+
+    if (options.memoryLimit || options.spillDir) {
+      throw new Error('object-mode requires an in-memory store!')
+    }
+
+    if (options.hash) {
+      throw new Error('not supported in object-mode!')
+    }
+
+    if (!options.store) {
+      // records can't be coalesced
+      options.store = new MemoryChunkStore()
+    }
+
+    super(options)
+
+    this._cursor = new ObjectStreamBufferCursor(this, 0, false)
+
+    this._sizeOf = options.sizeOf || null
+    this._sizes = [] // sizes of the retained records
+    this._sizesHead = 0 // index of the size of the oldest retained record
+    this._sizesStart = 0 // offset of the record at '_sizesHead'
+    this._totalSize = 0
+  }
+
+  _isOversized () {
+    if (this._sizeOf === null) {
+      return super._isOversized()
+    }
+
+    // forget the sizes of evicted records
+    while (this._sizesStart < this._store.start()) {
+      this._totalSize -= this._sizes[this._sizesHead]
+      this._sizes[this._sizesHead] = undefined
+      this._sizesHead++
+      this._sizesStart++
+    }
+
+    if (this._sizesHead >= MIN_COMPACT_SIZE && this._sizesHead * 2 >= this._sizes.length) {
+      this._sizes = this._sizes.slice(this._sizesHead)
+      this._sizesHead = 0
+    }
+
+    return this._store.count() > 1 && this._totalSize > this._maxSize
+  }
+
+  async _appendChunk (item, time) {
+    if (this._sizeOf !== null) {
+      const size = this._sizeOf(item)
+
+      this._sizes.push(size)
+      this._totalSize += size
+    }
+
+    // every record is stored as its own chunk
+    return super._appendChunk([item], time)
+  }
+
+  // every chunk holds a single record, so 'evict' and 'evictTo' get the record itself
+  async _readEvictedChunk (start, end) {
+    const items = await super._readEvictedChunk(start, end)
+
+    return items[0]
+  }
+
+  _concat (chunks) {
+    const items = []
+
+    for (const chunk of chunks) {
+      for (const item of chunk) {
+        items.push(item)
+      }
+    }
+
+    return items
+  }
+
+  _emptyChunk () {
+    return []
+  }
+
+  /**
+   * Creates a new cursor with its own seek, which reads independently from all other cursors
+   * @param {number|null} [offset] initial seek relative to the start of the stream or 'null' for 'end of stream'
+   * @returns {ObjectStreamBufferCursor} new cursor
+   */
+  createCursor (offset = 0) {
+    return new ObjectStreamBufferCursor(this, offset, true)
+  }
+
+  /**
+   * Reads a slice of records
+   * @param {number|null} [count] number of records or 'null' for 'read to end'
+   * @param {number|null} [offset] offset relative to the start of the stream or 'null' for current seek
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] signal to abort the pending read
+   * @param {number} [options.timeout] maximum time in ms to wait for new records
+   * @returns {Promise<Array>} requested records
+   */
+  async getItems (count = null, offset = null, options) {
+    return this._cursor.getItems(count, offset, options)
+  }
+}
+
+// byte-oriented helpers make no sense for records
+for (const method of ['saveSnapshot', 'serveHttp']) {
+  ObjectStreamBuffer.prototype[method] = async function () {
+    throw new Error('not supported in object-mode!')
+  }
+}
+
+ObjectStreamBuffer.prototype.getWritableStream = function () {
+  throw new Error('not supported in object-mode!')
+}
+
+module.exports = ObjectStreamBuffer
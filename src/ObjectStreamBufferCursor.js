@@ -0,0 +1,67 @@
+const StreamBufferCursor = require('./StreamBufferCursor')
+const valueSizes = require('./valueSizes')
+
+/**
+ * Independent read-position inside of an ObjectStreamBuffer, offsets count records
+ */
+class ObjectStreamBufferCursor extends StreamBufferCursor {
+  /**
+   * Reads a slice of records
+   * @param {number|null} [count] number of records or 'null' for 'read to end'
+   * @param {number|null} [offset] offset relative to the start of the stream or 'null' for current seek
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] signal to abort the pending read
+   * @param {number} [options.timeout] maximum time in ms to wait for new records
+   * @returns {Promise<Array>} requested records
+   */
+  async getItems (count = null, offset = null, options) {
+    return super.getBuffer(count, offset, options)
+  }
+
+  /**
+   * Creates a new object-mode ReadableStream from a slice of records.
+   * Instead of length and offset, an object with 'length', 'offset' and 'since' can be passed as the only argument,
+   * or with the names of marks as 'from' and 'to'.
+   * @param {number|null|Object} [length] number of records or 'null' for 'read to end'
+   * @param {number|null} [offset] offset relative to the start of the stream or 'null' for current seek
+   * @param {Object} [options] same as for StreamBuffer.getStream
+   * @returns {ReadableStream} requested stream
+   */
+  getStream (length = null, offset = null, options) {
+    if (length !== null && typeof length === 'object') {
+      return super.getStream(Object.assign({}, length, { objectMode: true }))
+    }
+
+    return super.getStream(length, offset, Object.assign({}, options, { objectMode: true }))
+  }
+
+  /**
+   * Iterates over a slice of records
+   * @param {Object} [options] same as for StreamBuffer.iterate, without 'chunkSize'
+   * @returns {AsyncIterableIterator<*>} iterator over the records of the slice
+   */
+  iterate (options) {
+    const chunks = super.iterate(options)
+
+    return (async function * () {
+      for await (const chunk of chunks) {
+        yield * chunk
+      }
+    })()
+  }
+}
+
+// byte-oriented reads make no sense for records
+for (const method of ['getBuffer', 'hashRange', 'indexOf', 'readUntil', 'readLine', 'readString'].concat(Object.keys(valueSizes))) {
+  ObjectStreamBufferCursor.prototype[method] = async function () {
+    throw new Error('not supported in object-mode!')
+  }
+}
+
+for (const method of ['getReadableStream', 'getFrameStream']) {
+  ObjectStreamBufferCursor.prototype[method] = function () {
+    throw new Error('not supported in object-mode!')
+  }
+}
+
+module.exports = ObjectStreamBufferCursor
@@ -0,0 +1,99 @@
+/**
+ * Helper to stop pending reads of the StreamBuffer on an AbortSignal or after a timeout
+ */
+class ReadAbort {
+  /**
+   * @param {StreamBuffer} streamBuffer buffer, whose waiting reads get woken up on abort
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] signal to abort the read
+   * @param {number} [options.timeout] maximum time in ms to wait for new data
+   */
+  constructor (streamBuffer, options) {
+    options = options || {}
+
+    this.error = null
+
+    this._streamBuffer = streamBuffer
+    this._timeout = options.timeout || Infinity
+    this._signal = options.signal || null
+    this._onAbort = () => {
+      const error = new Error('Read aborted!')
+      error.name = 'AbortError'
+      error.code = 'ABORT_ERR'
+
+      this.abort(error)
+    }
+
+    if (this._signal) {
+      if (this._signal.aborted) {
+        this._onAbort()
+      } else {
+        this._signal.addEventListener('abort', this._onAbort)
+      }
+    }
+  }
+
+  /**
+   * Aborts the read and wakes up all waiting reads, so they can check for errors
+   * @param {Error} error reason of the abort
+   */
+  abort (error) {
+    if (this.error) {
+      return
+    }
+
+    this.error = error
+    this.release()
+    this._streamBuffer._triggerNewChunksAvailable()
+  }
+
+  /**
+   * Throws the error, if the read has been aborted
+   */
+  check () {
+    if (this.error) {
+      throw this.error
+    }
+  }
+
+  /**
+   * Waits for a promise, unless the read gets aborted or times out before
+   * @param {Promise} promise promise to wait for
+   * @returns {Promise<void>}
+   */
+  async wait (promise) {
+    this.check()
+
+    let timeout = null
+
+    if (this._timeout !== Infinity) {
+      timeout = setTimeout(() => {
+        const error = new Error('Read timed out!')
+        error.name = 'TimeoutError'
+        error.code = 'ETIMEDOUT'
+
+        this.abort(error)
+      }, this._timeout)
+    }
+
+    try {
+      await promise
+    } finally {
+      clearTimeout(timeout)
+    }
+
+    this.check()
+  }
+
+  /**
+   * Removes all listeners, once the read has finished
+   */
+  release () {
+    if (this._signal) {
+      this._signal.removeEventListener('abort', this._onAbort)
+      this._signal = null
+    }
+  }
+}
+
+module.exports = ReadAbort
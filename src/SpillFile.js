@@ -0,0 +1,142 @@
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { promisify } = require('util')
+
+const open = promisify(fs.open)
+const write = promisify(fs.write)
+const read = promisify(fs.read)
+const close = promisify(fs.close)
+const unlink = promisify(fs.unlink)
+
+// paths of all spill files, that have not been removed jet
+const openPaths = new Set()
+
+function removeOpenPaths () {
+  for (const filePath of openPaths) {
+    try {
+      fs.unlinkSync(filePath)
+    } catch (error) {
+      // noop
+    }
+  }
+}
+
+/**
+ * Helper to store chunks in a temporary file
+ */
+class SpillFile {
+  constructor (dir) {
+    this.path = path.join(dir || os.tmpdir(), `streambuffer17-${process.pid}-${crypto.randomBytes(6).toString('hex')}`)
+    this.size = 0
+
+    this._fd = null
+    this._opening = null
+    this._closed = false
+    this._pending = 0
+    this._idleFn = () => {}
+  }
+
+  async _open () {
+    if (this._closed) {
+      throw new Error('SpillFile closed!')
+    }
+
+    if (!this._opening) {
+      if (openPaths.size === 0) {
+        process.once('exit', removeOpenPaths)
+      }
+
+      openPaths.add(this.path)
+      this._opening = open(this.path, 'wx+').then(fd => {
+        this._fd = fd
+      })
+    }
+
+    return this._opening
+  }
+
+  async _run (fn) {
+    this._pending++
+
+    try {
+      await this._open()
+
+      return await fn(this._fd)
+    } finally {
+      this._pending--
+
+      if (this._pending === 0) {
+        this._idleFn()
+      }
+    }
+  }
+
+  /**
+   * Appends a buffer to the end of the file
+   * @param {Buffer} buffer data to append
+   * @returns {Promise<number>} position of the data inside the file
+   */
+  async append (buffer) {
+    const position = this.size
+    this.size += buffer.length
+
+    await this._run(fd => write(fd, buffer, 0, buffer.length, position))
+
+    return position
+  }
+
+  /**
+   * Reads a range of the file
+   * @param {number} position position inside the file
+   * @param {number} length number of bytes to read
+   * @returns {Promise<Buffer>} requested data
+   */
+  async read (position, length) {
+    const buffer = Buffer.allocUnsafe(length)
+    const { bytesRead } = await this._run(fd => read(fd, buffer, 0, length, position))
+
+    if (bytesRead !== length) {
+      throw new Error('SpillFile truncated!')
+    }
+
+    return buffer
+  }
+
+  /**
+   * Closes and removes the file, after all pending operations have finished
+   * @returns {Promise<void>}
+   */
+  async close () {
+    if (this._closed) {
+      return
+    }
+
+    this._closed = true
+
+    if (this._pending > 0) {
+      await new Promise(resolve => {
+        this._idleFn = resolve
+      })
+    }
+
+    if (this._opening) {
+      await this._opening.catch(() => {})
+
+      if (this._fd !== null) {
+        await close(this._fd)
+        this._fd = null
+      }
+
+      await unlink(this.path).catch(() => {})
+      openPaths.delete(this.path)
+
+      if (openPaths.size === 0) {
+        process.removeListener('exit', removeOpenPaths)
+      }
+    }
+  }
+}
+
+module.exports = SpillFile
@@ -1,27 +1,116 @@
+const crypto = require('crypto')
 const { Writable } = require('stream')
-const StreamBufferReader = require('./StreamBufferReader')
+const diagnostics = require('./diagnostics')
+const { BufferDestroyedError, ChunkEvictedError, MaxBufferSizeError, OutOfBoundsError, StreamBufferError } = require('./errors')
+const CompressedChunkStore = require('./CompressedChunkStore')
+const FileChunkStore = require('./FileChunkStore')
+const MemoryChunkStore = require('./MemoryChunkStore')
+const StreamBufferCursor = require('./StreamBufferCursor')
+const StreamBufferView = require('./StreamBufferView')
+const TimeIndex = require('./TimeIndex')
+const serveHttp = require('./serveHttp')
+const snapshot = require('./snapshot')
+const valueSizes = require('./valueSizes')
+const webStreams = require('./webStreams')
 
 /**
  * A writable stream that allows for replaying, seeking and slicing of the streamed content.
  */
 class StreamBuffer extends Writable {
+  /**
+   * @param {Object} [options] options to pass to the writable stream and the following
+   * @param {number} [options.maxSize] maximum number of retained bytes, older chunks get dropped
+   * @param {number} [options.maxAge] maximum age of retained chunks in ms, older chunks get dropped
+   * @param {number} [options.maxBufferSize] maximum length of buffers returned by getBuffer
+   * @param {ChunkStore} [options.store] storage-backend, defaults to a MemoryChunkStore
+   * @param {number} [options.coalesceSize] target size for merging small consecutive writes into one chunk
+   * @param {number} [options.memoryLimit] maximum number of bytes kept in memory, older chunks get moved to a temporary file
+   * @param {string} [options.spillDir] directory for the temporary file, defaults to the os temp-dir
+   * @param {string} [options.compression] compress older chunks in memory with 'deflate', 'gzip' or 'brotli'
+   * @param {number} [options.compressAfter] number of most recent bytes kept uncompressed, defaults to 0
+   * @param {boolean} [options.retainPinned] keep chunks needed by readers and cursors and delay writes instead of dropping them
+   * @param {number} [options.pinTimeout] time in ms a write may be delayed by pinned chunks, before the slowest readers and cursors get dropped
+   * @param {number} [options.maxReaders] maximum number of active streams, further calls to getStream and getFrameStream throw
+   * @param {string} [options.hash] hash-algorithm for a running digest of all written data, see 'digest()'
+   * @param {Writable} [options.evictTo] stream, which receives all evicted chunks in order (the writes wait for it to drain, it is not ended)
+   */
   constructor (options) {
     super(options)
 
-    this._chunks = [] // { chunk, end, start }
     this._ended = false
     this._destroyed = false
     this._error = null
 
-    this._seek = 0
+    this._pins = new Set() // { offset, drop }
+    this._cursor = new StreamBufferCursor(this, 0, false)
 
     options = options || {}
     this._maxSize = options.maxSize || Infinity
+    this._maxAge = options.maxAge || Infinity
     this._maxBufferSize = options.maxBufferSize || Infinity
+    this._retainPinned = !!options.retainPinned
+    this._pinTimeout = options.pinTimeout || Infinity
+    this._maxReaders = options.maxReaders || Infinity
+
+    if (options.store) {
+      this._store = options.store
+    } else if (options.compression && (options.memoryLimit || options.spillDir)) {
+      throw new Error('compression can not be combined with a spill-file!')
+    } else if (options.compression) {
+      this._store = new CompressedChunkStore({
+        algorithm: options.compression,
+        compressAfter: options.compressAfter,
+        coalesceSize: options.coalesceSize
+      })
+    } else if (options.memoryLimit || options.spillDir) {
+      this._store = new FileChunkStore({
+        memoryLimit: options.memoryLimit,
+        dir: options.spillDir,
+        coalesceSize: options.coalesceSize
+      })
+    } else {
+      this._store = new MemoryChunkStore({
+        coalesceSize: options.coalesceSize
+      })
+    }
 
     this._newChunksAvailableFn = () => {}
     this._newChunksAvailable = null
     this._triggerNewChunksAvailable()
+
+    this._pinsMovedFn = () => {}
+    this._pinsMoved = null
+    this._triggerPinsMoved()
+
+    this._timeIndex = new TimeIndex()
+    this._marks = new Map() // name -> offset
+    this._expiryTimeout = null
+    this._storeLock = Promise.resolve()
+    this._webWritable = null
+
+    this._bytesWritten = 0
+    this._bytesEvicted = 0
+    this._peakSize = 0
+    this._pendingReads = 0
+    this._readers = new Set() // StreamBufferReader and StreamBufferFrameReader
+
+    this._hash = options.hash ? crypto.createHash(options.hash) : null
+    this._digest = null
+
+    this._evictTo = options.evictTo || null
+
+    if (this._evictTo !== null) {
+      // dropped data can't be archived anymore
+      this._evictTo.on('error', error => this.destroy(error))
+    }
+  }
+
+  // prevents overlapping calls to append and evict of the store
+  _lockStore (fn) {
+    const result = this._storeLock.then(fn)
+    this._storeLock = result.catch(() => {})
+
+    return result
   }
 
   _triggerNewChunksAvailable () {
@@ -31,200 +120,909 @@ class StreamBuffer extends Writable {
     })
   }
 
-  _getCurrentEndOffset () {
-    if (this._chunks.length === 0) {
-      return 0
+  _triggerPinsMoved () {
+    this._pinsMovedFn()
+    this._pinsMoved = new Promise(resolve => {
+      this._pinsMovedFn = resolve
+    })
+  }
+
+  _pin (offset, drop) {
+    const pin = {
+      offset,
+      drop
+    }
+
+    this._pins.add(pin)
+
+    return pin
+  }
+
+  _movePin (pin, offset) {
+    pin.offset = offset
+
+    if (this._retainPinned) {
+      this._triggerPinsMoved()
+    }
+  }
+
+  _unpin (pin) {
+    if (this._pins.delete(pin) && this._retainPinned) {
+      this._triggerPinsMoved()
+    }
+  }
+
+  _getSlowestPin () {
+    const start = this._store.start()
+    let slowestPin = null
+
+    for (const pin of this._pins) {
+      // pins inside of already dropped chunks can't be helped anymore
+      if (pin.offset >= start && (slowestPin === null || pin.offset < slowestPin.offset)) {
+        slowestPin = pin
+      }
+    }
+
+    return slowestPin
+  }
+
+  async _waitForPinsMoved (deadline) {
+    if (deadline === Infinity) {
+      await this._pinsMoved
+
+      return false
+    }
+
+    let timeout = null
+    const timedOut = new Promise(resolve => {
+      timeout = setTimeout(() => resolve(true), Math.max(deadline - Date.now(), 0))
+    })
+
+    try {
+      return await Promise.race([this._pinsMoved.then(() => false), timedOut])
+    } finally {
+      clearTimeout(timeout)
+    }
+  }
+
+  _isExpired () {
+    return this._maxAge !== Infinity && this._store.count() > 0 && this._timeIndex.timeAt(this._store.nextEvictionEnd() - 1) <= Date.now() - this._maxAge
+  }
+
+  // resolves 'false', when pinned chunks keep the size above 'maxSize'
+  async _evictChunks (dropPins) {
+    while (this._store.count() > 0) {
+      const oversized = this._isOversized()
+
+      if (!oversized && !this._isExpired()) {
+        break
+      }
+
+      if (this._retainPinned) {
+        const slowestPin = this._getSlowestPin()
+
+        if (slowestPin !== null && slowestPin.offset < this._store.nextEvictionEnd()) {
+          if (!dropPins) {
+            return !oversized
+          }
+
+          this._pins.delete(slowestPin)
+          slowestPin.drop(this._createError(ChunkEvictedError, slowestPin.offset, null, 'reader too slow!'))
+          continue
+        }
+      }
+
+      await this._evictChunk()
+    }
+
+    return true
+  }
+
+  // drops the oldest chunk or, with an offset inside of it, only the data before that offset
+  async _evictChunk (end = this._store.nextEvictionEnd()) {
+    // only read the chunk, when somebody archives it
+    const archived = this._evictTo !== null || this.listenerCount('evict') > 0
+    const start = this._store.start()
+    const chunk = archived ? await this._readEvictedChunk(start, end) : null
+
+    if (end < this._store.nextEvictionEnd()) {
+      await this._store.trim(end)
+    } else {
+      await this._store.evict()
+    }
+    this._timeIndex.prune(this._store.start())
+    this._pruneMarks()
+    this._bytesEvicted += end - start
+
+    diagnostics.publish(diagnostics.evict, () => ({
+      streamBuffer: this,
+      start,
+      end
+    }))
+
+    if (archived) {
+      this.emit('evict', {
+        start,
+        end,
+        chunk
+      })
+
+      if (this._evictTo !== null) {
+        await this._archiveChunk(chunk)
+      }
     }
+  }
 
-    return this._chunks[this._chunks.length - 1].end
+  // marks share the fate of the chunk they point into
+  _pruneMarks () {
+    for (const [name, offset] of this._marks) {
+      if (offset < this._store.start()) {
+        this._marks.delete(name)
+      }
+    }
   }
 
-  _dropChunk () {
-    this._chunks.shift()
+  _markOffset (name) {
+    if (!this._marks.has(name)) {
+      throw new Error('unknown mark!')
+    }
+
+    return this._marks.get(name)
   }
 
-  _appendChunk (chunk) {
+  async _readEvictedChunk (start, end) {
+    const parts = []
+
+    for (let offset = start; offset < end;) {
+      const part = await this._store.read(offset, end)
+
+      parts.push(part)
+      offset += part.length
+    }
+
+    return parts.length === 1 ? parts[0] : this._concat(parts, end - start)
+  }
+
+  async _archiveChunk (chunk) {
+    const evictTo = this._evictTo
+
+    if (evictTo.write(chunk)) {
+      return
+    }
+
+    // keep the store locked until the archive catches up, which delays further writes
+    await new Promise((resolve, reject) => {
+      function cleanup () {
+        evictTo.removeListener('drain', onDrain)
+        evictTo.removeListener('close', onClose)
+        evictTo.removeListener('error', onClose)
+      }
+
+      function onDrain () {
+        cleanup()
+        resolve()
+      }
+
+      function onClose (error) {
+        cleanup()
+        reject(error || new Error('evictTo closed!'))
+      }
+
+      evictTo.once('drain', onDrain)
+      evictTo.once('close', onClose)
+      evictTo.once('error', onClose)
+    })
+  }
+
+  _isOversized () {
+    return this._store.count() > 1 && this.size() > this._maxSize
+  }
+
+  _scheduleExpiry () {
+    if (this._maxAge === Infinity || this._expiryTimeout !== null || this._store.count() === 0 || this._destroyed) {
+      return
+    }
+
+    const expiry = this._timeIndex.timeAt(this._store.nextEvictionEnd() - 1) + this._maxAge
+
+    this._expiryTimeout = setTimeout(() => {
+      this._expireChunks().catch(error => this.destroy(error))
+    }, Math.max(expiry - Date.now(), 0))
+
+    // expiring chunks alone should not keep the process running
+    if (this._expiryTimeout.unref) {
+      this._expiryTimeout.unref()
+    }
+  }
+
+  async _expireChunks () {
     const oldSize = this.size()
-    const start = this._getCurrentEndOffset()
-    const end = start + chunk.length
 
-    this._chunks.push({
-      chunk,
-      end,
-      start
+    await this._lockStore(() => this._evictChunks(false))
+
+    if (this._destroyed) {
+      return
+    }
+
+    if (this.size() !== oldSize) {
+      this.emit('resize', {
+        size: this.size(),
+        oldSize
+      })
+    }
+
+    // expired chunks are still pinned
+    if (this._isExpired()) {
+      await this._pinsMoved
+    }
+
+    this._expiryTimeout = null
+    this._scheduleExpiry()
+  }
+
+  _getCurrentEndOffset () {
+    return this._store.end()
+  }
+
+  async _appendChunk (chunk, time = Date.now()) {
+    const oldSize = this.size()
+
+    await this._lockStore(async () => {
+      const start = this._store.end()
+
+      await this._store.append(chunk)
+      this._timeIndex.push(start, time)
+      this._bytesWritten += chunk.length
+
+      diagnostics.publish(diagnostics.append, () => ({
+        streamBuffer: this,
+        start,
+        end: this._store.end()
+      }))
+
+      if (this._hash !== null) {
+        this._hash.update(chunk)
+      }
     })
 
-    while (this._chunks.length > 1 && this.size() > this._maxSize) {
-      this._dropChunk()
+    // chunks were dropped by _destroy
+    if (this._destroyed) {
+      return
     }
 
+    let evicted = await this._lockStore(() => this._evictChunks(false))
+
+    this._peakSize = Math.max(this._peakSize, this.size())
     this._triggerNewChunksAvailable()
+    this._scheduleExpiry()
     this.emit('resize', {
       size: this.size(),
       oldSize
     })
-  }
 
-  _write (chunk, encoding, callback) {
-    try {
-      this._appendChunk(chunk)
-    } catch (error) {
-      return process.nextTick(() => callback(error))
+    // delay the write until the pinned chunks got released
+    const deadline = Date.now() + this._pinTimeout
+
+    while (!evicted) {
+      const timedOut = await this._waitForPinsMoved(deadline)
+
+      if (this._destroyed) {
+        return
+      }
+
+      const oldSize = this.size()
+      evicted = await this._lockStore(() => this._evictChunks(timedOut))
+
+      if (this.size() !== oldSize) {
+        this.emit('resize', {
+          size: this.size(),
+          oldSize
+        })
+      }
     }
+  }
 
-    return process.nextTick(() => callback(null))
+  _write (chunk, encoding, callback) {
+    this._appendChunk(chunk).then(() => callback(null), callback)
   }
 
   _writev (chunks, callback) {
-    try {
+    const appendChunks = async () => {
       for (const { chunk } of chunks) {
-        this._appendChunk(chunk)
+        await this._appendChunk(chunk)
       }
-    } catch (error) {
-      return process.nextTick(() => callback(error))
     }
 
-    return process.nextTick(() => callback(null))
+    appendChunks().then(() => callback(null), callback)
   }
 
   _destroy (error, callback) {
     if (!error) {
-      error = new Error('Stream destroyed!')
+      error = this._createError(BufferDestroyedError)
     }
 
     this._destroyed = true
     this._error = error
-    this._chunks = []
     this._triggerNewChunksAvailable()
+    this._triggerPinsMoved()
+    clearTimeout(this._expiryTimeout)
 
-    return process.nextTick(() => callback(error))
+    Promise.resolve()
+      .then(() => this._store.destroy())
+      .then(() => callback(error), () => callback(error))
   }
 
   _final (callback) {
     this._ended = true
-
-    // refresh seek to maybe resolve null
-    this.seek(this.seek())
     this._triggerNewChunksAvailable()
 
     return process.nextTick(() => callback(null))
   }
 
+  // typed error, which carries the requested range and the currently retained one
+  _createError (ErrorClass, offset, length, message) {
+    return new ErrorClass({
+      offset,
+      length,
+      range: this.range()
+    }, message)
+  }
+
+  // errors of a single read-step carry the offset and length of the whole read instead
+  _stampError (error, offset, length) {
+    // the error of a destroyed buffer is shared by all reads
+    if (error instanceof StreamBufferError && error !== this._error) {
+      error.offset = offset
+      error.length = length
+    }
+
+    return error
+  }
+
+  _concat (chunks, length) {
+    return Buffer.concat(chunks, length)
+  }
+
+  _emptyChunk () {
+    return Buffer.alloc(0)
+  }
+
   _getNextChunk (offset, end) {
     if (this._destroyed) {
       throw this._error
     }
 
-    const chunk = this._chunks.find(chunk => offset < chunk.end)
-
     // chunk not jet loaded
-    if (!chunk) {
+    if (offset >= this._getCurrentEndOffset()) {
       // chunk will never load
       if (this._ended) {
         // allow zero-length buffer at the very end
         if (offset === this._getCurrentEndOffset() && (end === Infinity || end === offset)) {
-          return Buffer.alloc(0)
+          return this._emptyChunk()
         }
 
-        throw new Error('chunk-offset out of bounds!')
+        throw this._createError(OutOfBoundsError, offset, end - offset)
       }
 
       // might load later
       return null
-    } else if (offset < chunk.start) {
+    } else if (offset < this._store.start()) {
       // chunk already deleted
-      throw new Error('chunk gone!')
+      throw this._createError(ChunkEvictedError, offset, end - offset)
     }
 
     // chunk available
-    return chunk.chunk.slice(offset - chunk.start, end - chunk.start)
+    const chunk = this._store.read(offset, end)
+
+    // asynchronous stores return a promise
+    if (typeof chunk.then === 'function') {
+      return chunk.then(chunk => {
+        this._publishRead(offset, chunk)
+
+        return chunk
+      }, error => {
+        throw this._destroyed ? this._error : error
+      })
+    }
+
+    this._publishRead(offset, chunk)
+
+    return chunk
   }
 
-  /**
-   * Creates new Buffer from a slice of the stream
-   * @param {number|null} [length] length of the buffer or 'null' for 'read to end'
-   * @param {number|null} [offset] offset relative to the start of the stream or 'null' for current seek
-   * @returns {Promise<Buffer>} requested buffer
-   */
-  async getBuffer (length = null, offset = null) {
-    if (length === null) {
-      length = Infinity
+  _publishRead (offset, chunk) {
+    diagnostics.publish(diagnostics.read, () => ({
+      streamBuffer: this,
+      start: offset,
+      end: offset + chunk.length
+    }))
+  }
+
+  _checkGapPolicy (onGap) {
+    if (onGap !== 'error' && onGap !== 'skip' && onGap !== 'skipToLive') {
+      throw new Error('unknown onGap!')
     }
+  }
 
-    if (offset === null) {
-      offset = this.seek()
+  // offset to continue reading at, when the data at an offset is already gone
+  _resolveGap (offset, onGap) {
+    if (onGap === 'error' || offset === null || offset >= this._store.start() || this._destroyed) {
+      return offset
+    }
+
+    return onGap === 'skipToLive' ? this._store.end() : this._store.start()
+  }
+
+  _checkReaderLimit () {
+    if (this._readers.size >= this._maxReaders) {
+      throw new Error('maxReaders exceeded!')
     }
+  }
+
+  _addReader (reader) {
+    this._readers.add(reader)
+    this.emit('reader', reader)
+  }
+
+  _removeReader (reader) {
+    if (this._readers.delete(reader)) {
+      this.emit('readerClose', reader)
+    }
+  }
+
+  // waits for new chunks on behalf of a buffer-read
+  async _waitForNewChunks (abort) {
+    this._pendingReads++
+
+    try {
+      await abort.wait(this._newChunksAvailable)
+    } finally {
+      this._pendingReads--
+    }
+  }
+
+  async _readBuffer (offset, length, abort) {
+    abort.check()
+
+    let currentPos = offset
+    let endPos = offset + length
+    const chunks = []
+    let dropError = null
+    const pin = this._pin(offset, error => {
+      dropError = error
+    })
+
+    try {
+      while (currentPos < endPos) {
+        let chunk = this._getNextChunk(currentPos, endPos)
+
+        if (chunk !== null && typeof chunk.then === 'function') {
+          chunk = await chunk
+        }
+
+        if (dropError) {
+          throw dropError
+        }
+
+        if (chunk === null) {
+          await this._waitForNewChunks(abort)
+        } else {
+          chunks.push(chunk)
+          currentPos += chunk.length
+          this._movePin(pin, currentPos)
+
+          if (currentPos - offset > this._maxBufferSize) {
+            throw this._createError(MaxBufferSizeError, offset, length)
+          }
+        }
+
+        if (this._ended && endPos === Infinity) {
+          endPos = this._getCurrentEndOffset()
+        }
+      }
+    } catch (error) {
+      throw this._stampError(error, offset, length)
+    } finally {
+      this._unpin(pin)
+    }
+
+    return this._concat(chunks, currentPos - offset)
+  }
+
+  async _waitForOffset (offset, abort) {
+    abort.check()
 
     while (offset === null && !this._ended && !this._destroyed) {
-      await this._newChunksAvailable
+      await this._waitForNewChunks(abort)
 
       if (this._ended) {
         offset = this._getCurrentEndOffset()
       }
     }
 
+    return offset
+  }
+
+  async _waitForData (offset, length, abort) {
+    abort.check()
+
+    while (this._getCurrentEndOffset() < offset + length) {
+      if (this._destroyed) {
+        throw this._error
+      }
+
+      if (this._ended) {
+        return false
+      }
+
+      await this._waitForNewChunks(abort)
+    }
+
+    return true
+  }
+
+  async * _iterate (offset, length, chunkSize, abort) {
+    offset = await this._waitForOffset(offset, abort)
+
     let currentPos = offset
     let endPos = offset + length
-    const chunks = []
+    let dropError = null
+    const pin = this._pin(offset, error => {
+      dropError = error
+    })
+
+    try {
+      while (currentPos < endPos) {
+        let chunk = this._getNextChunk(currentPos, Math.min(endPos, currentPos + chunkSize))
 
-    this.seek(endPos)
+        if (chunk !== null && typeof chunk.then === 'function') {
+          chunk = await chunk
+        }
 
-    while (currentPos < endPos) {
-      const chunk = this._getNextChunk(currentPos, endPos)
+        if (dropError) {
+          throw dropError
+        }
 
-      if (chunk === null) {
-        await this._newChunksAvailable
-      } else {
-        chunks.push(chunk)
-        currentPos += chunk.length
+        if (chunk === null) {
+          await abort.wait(this._newChunksAvailable)
+        } else if (chunk.length > 0) {
+          currentPos += chunk.length
+          this._movePin(pin, currentPos)
 
-        if (currentPos - offset > this._maxBufferSize) {
-          throw new Error('maxBufferSize exceeded!')
+          yield chunk
+        }
+
+        if (this._ended && endPos === Infinity) {
+          endPos = this._getCurrentEndOffset()
         }
       }
+    } catch (error) {
+      throw this._stampError(error, offset, length)
+    } finally {
+      this._unpin(pin)
+    }
+  }
+
+  async _indexOf (pattern, offset, maxLength, abort) {
+    offset = await this._waitForOffset(offset, abort)
+
+    if (pattern.length === 0 && offset !== null) {
+      return offset
+    }
+
+    // end of the previous chunks, to find matches across chunk boundaries
+    const keep = pattern.length - 1
+    let tail = Buffer.alloc(0)
+    let currentPos = offset
 
-      if (this._ended && endPos === Infinity) {
-        endPos = this._getCurrentEndOffset()
+    for await (const chunk of this._iterate(offset, Infinity, Infinity, abort)) {
+      if (tail.length > 0) {
+        const index = Buffer.concat([tail, chunk.slice(0, keep)]).indexOf(pattern)
+
+        if (index !== -1 && index < tail.length) {
+          return currentPos - tail.length + index
+        }
+      }
+
+      const index = chunk.indexOf(pattern)
+
+      if (index !== -1) {
+        return currentPos + index
+      }
+
+      currentPos += chunk.length
+
+      if (currentPos - offset >= maxLength) {
+        break
+      }
+
+      if (keep > 0) {
+        tail = Buffer.concat([tail, chunk.slice(Math.max(chunk.length - keep, 0))])
+        tail = tail.slice(Math.max(tail.length - keep, 0))
       }
     }
 
-    return Buffer.concat(chunks, currentPos - offset)
+    return -1
+  }
+
+  async _readValue (offset, length, read, abort) {
+    offset = await this._waitForOffset(offset, abort)
+
+    let chunk = null
+
+    while (chunk === null) {
+      chunk = this._getNextChunk(offset, offset + length)
+
+      if (chunk !== null && typeof chunk.then === 'function') {
+        chunk = await chunk
+      }
+
+      if (chunk === null) {
+        await this._waitForNewChunks(abort)
+      }
+    }
+
+    // value straddles multiple chunks
+    if (chunk.length < length) {
+      chunk = await this._readBuffer(offset, length, abort)
+    }
+
+    return read(chunk)
+  }
+
+  /**
+   * Creates a new cursor with its own seek, which reads independently from all other cursors.
+   * With 'retainPinned' the chunks after its seek are retained, until the cursor gets closed.
+   * @param {number|null} [offset] initial seek relative to the start of the stream or 'null' for 'end of stream'
+   * @returns {StreamBufferCursor} new cursor
+   */
+  createCursor (offset = 0) {
+    return new StreamBufferCursor(this, offset, true)
+  }
+
+  /**
+   * Creates a read-only view of a slice of the stream, which shares its chunks.
+   * The view waits for data of this stream and ends, when this stream reaches the end of the view.
+   * @param {number} [offset] start of the view relative to the start of the stream
+   * @param {number|null} [length] length of the view or 'null' for 'to end of stream'
+   * @returns {StreamBufferView} new view
+   */
+  view (offset = 0, length = null) {
+    return new StreamBufferView(this, offset, length)
+  }
+
+  /**
+   * Creates new Buffer from a slice of the stream
+   * @param {number|null} [length] length of the buffer or 'null' for 'read to end'
+   * @param {number|null} [offset] offset relative to the start of the stream or 'null' for current seek
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] signal to abort the pending read
+   * @param {number} [options.timeout] maximum time in ms to wait for new data
+   * @param {string} [options.onGap] 'error' (default), 'skip' to the oldest retained data or 'skipToLive' to the end, if the data at the offset is gone;
+   * when skipping, the buffer has a 'streamOffset'-property with the actual offset of its data
+   * @returns {Promise<Buffer>} requested buffer
+   */
+  async getBuffer (length = null, offset = null, options) {
+    return this._cursor.getBuffer(length, offset, options)
   }
 
   /**
-   * Creates a new ReadableStream from a slice of this stream
-   * @param {number|null} [length] length of the stream or 'null' for 'read to end'
+   * Creates a new ReadableStream from a slice of this stream.
+   * Instead of length and offset, an object with 'length', 'offset' and 'since' can be passed as the only argument,
+   * or with the names of marks as 'from' and 'to'.
+   * @param {number|null|Object} [length] length of the stream or 'null' for 'read to end'
    * @param {number|null} [offset] offset relative to the start of the stream or 'null' for current seek
    * @param {Object} [options] additional options to pass to the returned readable stream instance
+   * @param {Date|number} [options.since] start at the first data, which arrived at or after this point in time
+   * @param {AbortSignal} [options.signal] signal to destroy the stream
+   * @param {number} [options.timeout] maximum time in ms to wait for new data, before the stream gets destroyed
+   * @param {string} [options.onGap] 'error' (default), 'skip' to the oldest retained data or 'skipToLive' to the end,
+   * when the data at the position of the stream is gone; skipped ranges are emitted as 'gap'-event with 'start' and 'end'
    * @returns {ReadableStream} requested stream
    */
   getStream (length = null, offset = null, options) {
-    if (length === null) {
-      length = Infinity
-    }
+    return this._cursor.getStream(length, offset, options)
+  }
 
-    if (offset === null) {
-      offset = this.seek()
+  /**
+   * Creates a new byte-oriented WHATWG ReadableStream from a slice of the stream, which supports BYOB-readers.
+   * Instead of length and offset, an object with 'length', 'offset' and 'since' can be passed as the only argument,
+   * or with the names of marks as 'from' and 'to'.
+   * @param {number|null|Object} [length] length of the stream or 'null' for 'read to end'
+   * @param {number|null} [offset] offset relative to the start of the stream or 'null' for current seek
+   * @param {Object} [options]
+   * @param {Date|number} [options.since] start at the first data, which arrived at or after this point in time
+   * @param {AbortSignal} [options.signal] signal to error the stream
+   * @param {number} [options.timeout] maximum time in ms to wait for new data, before the stream errors
+   * @returns {ReadableStream} requested stream
+   */
+  getReadableStream (length = null, offset = null, options) {
+    return this._cursor.getReadableStream(length, offset, options)
+  }
+
+  /**
+   * Gets a WHATWG WritableStream, which writes into this stream
+   * @returns {WritableStream} the same stream on every call
+   */
+  getWritableStream () {
+    if (!this._webWritable) {
+      this._webWritable = webStreams.createWritableStream(this)
     }
 
-    if (offset === null) {
-      // hacky way to get a valid zero-length stream
-      const anyLoadedPoint = this._getCurrentEndOffset()
-      const result = new StreamBufferReader(this, anyLoadedPoint, anyLoadedPoint, options)
+    return this._webWritable
+  }
 
-      // destroy stream, when no zero-length expected
-      if (length !== 0 && length !== Infinity) {
-        result.destroy(new Error('out of bounds'))
-      }
+  /**
+   * Creates a new object-mode ReadableStream, which emits one buffer per framed message
+   * @param {Object} options additional options to pass to the returned readable stream instance and the following
+   * @param {string} options.framing 'uint8', 'uint16be', 'uint16le', 'uint32be', 'uint32le', 'varint' or 'delimiter'
+   * @param {Buffer|string} [options.delimiter] delimiter between the messages for the 'delimiter'-framing
+   * @param {number} [options.maxFrameSize] maximum length of a message, defaults to 'maxBufferSize'
+   * @param {number|null} [options.offset] offset relative to the start of the stream or 'null' for current seek
+   * @param {AbortSignal} [options.signal] signal to destroy the stream
+   * @param {number} [options.timeout] maximum time in ms to wait for new data, before the stream gets destroyed
+   * @returns {ReadableStream} stream of messages
+   */
+  getFrameStream (options) {
+    return this._cursor.getFrameStream(options)
+  }
+
+  /**
+   * Iterates over a slice of the stream without creating a ReadableStream
+   * @param {Object} [options]
+   * @param {number|null} [options.length] length of the slice or 'null' for 'read to end'
+   * @param {number|null} [options.offset] offset relative to the start of the stream or 'null' for current seek
+   * @param {number|null} [options.chunkSize] maximum length of the returned buffers or 'null' for 'as stored'
+   * @param {Date|number} [options.since] start at the first data, which arrived at or after this point in time
+   * @param {AbortSignal} [options.signal] signal to abort the iteration
+   * @param {number} [options.timeout] maximum time in ms to wait for new data
+   * @returns {AsyncIterableIterator<Buffer>} iterator over the buffers of the slice
+   */
+  iterate (options) {
+    return this._cursor.iterate(options)
+  }
+
+  /**
+   * Iterates over the rest of the stream starting at the current seek
+   * @returns {AsyncIterableIterator<Buffer>} iterator over the buffers of the stream
+   */
+  [Symbol.asyncIterator] () {
+    return this.iterate()
+  }
 
-      return result
+  /**
+   * Gets the digest of all data written to this stream, when created with the 'hash' option
+   * @param {string} [encoding] encoding of the returned digest, defaults to a Buffer
+   * @returns {Buffer|string} digest of the whole stream, including evicted chunks
+   */
+  digest (encoding) {
+    if (this._hash === null) {
+      throw new Error('no hash configured!')
+    }
+
+    if (!this._ended) {
+      throw new Error('stream not ended!')
     }
 
-    const endPos = offset + length
+    // a Hash can only be digested once
+    if (this._digest === null) {
+      this._digest = this._hash.digest()
+    }
 
-    this.seek(endPos)
+    return encoding ? this._digest.toString(encoding) : this._digest
+  }
 
-    return new StreamBufferReader(this, offset, endPos, options)
+  /**
+   * Hashes a slice of the stream chunk by chunk, without concatenating it
+   * @param {string} algorithm hash-algorithm supported by crypto.createHash
+   * @param {number|null} [length] length of the slice or 'null' for 'read to end'
+   * @param {number|null} [offset] offset relative to the start of the stream or 'null' for current seek
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] signal to abort the pending read
+   * @param {number} [options.timeout] maximum time in ms to wait for new data
+   * @returns {Promise<Buffer>} digest of the slice
+   */
+  async hashRange (algorithm, length = null, offset = null, options) {
+    return this._cursor.hashRange(algorithm, length, offset, options)
+  }
+
+  /**
+   * Searches the stream for a pattern and waits for new data, until it is found or the stream ends
+   * @param {Buffer|string} pattern data to search for
+   * @param {number|null} [fromOffset] offset relative to the start of the stream or 'null' for current seek
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] signal to abort the search
+   * @param {number} [options.timeout] maximum time in ms to wait for new data
+   * @returns {Promise<number>} offset of the first match relative to the start of the stream or '-1'
+   */
+  async indexOf (pattern, fromOffset = null, options) {
+    return this._cursor.indexOf(pattern, fromOffset, options)
+  }
+
+  /**
+   * Reads from the current seek up to a delimiter and moves the seek behind the delimiter
+   * @param {Buffer|string} delimiter data to search for
+   * @param {Object} [options]
+   * @param {number|null} [options.maxLength] maximum length of the returned buffer or 'null' for 'unlimited'
+   * @param {AbortSignal} [options.signal] signal to abort the read
+   * @param {number} [options.timeout] maximum time in ms to wait for new data
+   * @returns {Promise<Buffer|null>} data in front of the delimiter, the rest of the stream or 'null' at the end of the stream
+   */
+  async readUntil (delimiter, options) {
+    return this._cursor.readUntil(delimiter, options)
+  }
+
+  /**
+   * Reads the next line, which is terminated by '\n' or '\r\n', and moves the seek behind it
+   * @param {Object} [options]
+   * @param {number|null} [options.maxLength] maximum length of the line or 'null' for 'unlimited'
+   * @param {string} [options.encoding] encoding of the line, defaults to 'utf8'
+   * @param {AbortSignal} [options.signal] signal to abort the read
+   * @param {number} [options.timeout] maximum time in ms to wait for new data
+   * @returns {Promise<string|null>} line without line-terminator or 'null' at the end of the stream
+   */
+  async readLine (options) {
+    return this._cursor.readLine(options)
+  }
+
+  /**
+   * Reads a string from the stream
+   * @param {number} length length of the string in bytes
+   * @param {string} [encoding] encoding of the string, defaults to 'utf8'
+   * @param {number|null} [offset] offset relative to the start of the stream or 'null' for current seek
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] signal to abort the read
+   * @param {number} [options.timeout] maximum time in ms to wait for new data
+   * @returns {Promise<string>} requested string
+   */
+  async readString (length, encoding = 'utf8', offset = null, options) {
+    return this._cursor.readString(length, encoding, offset, options)
+  }
+
+  /**
+   * Answers a HTTP-request with the content of this stream, respecting Range and If-Range.
+   * Evicted data can't be served, while the stream still grows open ranges are served with chunked encoding.
+   * @param {http.IncomingMessage} req request to answer
+   * @param {http.ServerResponse} res response to write to
+   * @param {Object} [options]
+   * @param {string} [options.contentType] Content-Type of the data, defaults to 'application/octet-stream'
+   * @param {string} [options.etag] ETag to send and to compare If-Range with, defaults to a random one per StreamBuffer
+   * @returns {Promise<void>} resolves, after the response was written
+   */
+  async serveHttp (req, res, options) {
+    return serveHttp(this, req, res, options)
+  }
+
+  /**
+   * Writes the retained chunks with their offsets, the seek and whether the stream has ended to a file.
+   * Data written after the call is not part of the snapshot.
+   * @param {string} path path of the snapshot-file, which gets replaced once the snapshot is complete
+   * @returns {Promise<void>}
+   */
+  async saveSnapshot (path) {
+    return snapshot.saveSnapshot(this, path)
+  }
+
+  /**
+   * Creates a new StreamBuffer from a snapshot-file, which reads from the same offsets as the saved one
+   * @param {string} path path of the snapshot-file
+   * @param {Object} [options] options for the new StreamBuffer, a 'hash' requires a snapshot, which still contains the start of the stream
+   * @returns {Promise<StreamBuffer>} restored StreamBuffer
+   */
+  static async fromSnapshot (path, options) {
+    const streamBuffer = new StreamBuffer(options)
+
+    try {
+      await snapshot.loadSnapshot(streamBuffer, path)
+    } catch (error) {
+      // the StreamBuffer never got returned, so nobody else listens for its 'error'
+      streamBuffer.on('error', () => {})
+      streamBuffer.destroy(error)
+
+      throw error
+    }
+
+    return streamBuffer
   }
 
   /**
@@ -233,19 +1031,165 @@ class StreamBuffer extends Writable {
    * @returns {number|null} current seek or 'null' if the seek is set to the end of the stream and is jet unknown
    */
   seek (newSeek) {
-    if (typeof newSeek !== 'undefined') {
-      if (newSeek === Infinity) {
-        newSeek = null
-      }
+    return this._cursor.seek(newSeek)
+  }
+
+  /**
+   * Gets the offset of the first retained data, which arrived at or after a point in time
+   * @param {Date|number} timestamp point in time as Date or in ms since the epoch
+   * @returns {number} offset relative to the start of the stream or the current end, if no such data arrived jet
+   */
+  offsetAt (timestamp) {
+    const offset = this._timeIndex.offsetAt(+timestamp)
 
-      if (newSeek === null && this._ended) {
-        newSeek = this._getCurrentEndOffset()
+    if (offset === null) {
+      return this._getCurrentEndOffset()
+    }
+
+    return Math.max(offset, this._store.start())
+  }
+
+  /**
+   * Names an offset, so it can be used as 'from' or 'to' of reads. Marks get dropped together with their chunk.
+   * @param {string} name name of the mark, an existing mark with the same name gets moved
+   * @param {number} [offset] offset relative to the start of the stream, defaults to the current end
+   */
+  mark (name, offset = this._getCurrentEndOffset()) {
+    if (offset < this._store.start()) {
+      throw this._createError(ChunkEvictedError, offset, 0)
+    }
+
+    if (offset > this._getCurrentEndOffset()) {
+      throw this._createError(OutOfBoundsError, offset, 0)
+    }
+
+    this._marks.delete(name)
+    this._marks.set(name, offset)
+
+    this.emit('mark', {
+      name,
+      offset
+    })
+  }
+
+  /**
+   * Gets all retained marks
+   * @returns {Array<{name: string, offset: number}>} marks ordered by offset
+   */
+  marks () {
+    return Array.from(this._marks, ([name, offset]) => ({ name, offset }))
+      .sort((a, b) => a.offset - b.offset)
+  }
+
+  /**
+   * Drops all data before an offset. Readers of the dropped data fail with 'chunk gone!'.
+   * @param {number} offset offset relative to the start of the stream, which becomes the new start
+   * @returns {Promise<void>}
+   */
+  async release (offset) {
+    const oldSize = this.size()
+
+    await this._lockStore(async () => {
+      while (this._store.count() > 0 && this._store.start() < offset) {
+        await this._evictChunk(Math.min(offset, this._store.nextEvictionEnd()))
       }
+    })
+
+    if (this.size() !== oldSize) {
+      // writes delayed by pinned chunks might fit now
+      this._triggerPinsMoved()
+      this.emit('resize', {
+        size: this.size(),
+        oldSize
+      })
+    }
+  }
+
+  /**
+   * Drops all retained chunks, new data continues at the current end offset
+   * @returns {Promise<void>}
+   */
+  async clear () {
+    return this.release(Infinity)
+  }
+
+  /**
+   * Gets the offset of the first retained byte
+   * @returns {number} offset relative to the start of the stream
+   */
+  startOffset () {
+    return this._store.start()
+  }
+
+  /**
+   * Gets the currently readable range, which is also attached to errors of failed reads
+   * @returns {{start: number, end: number, ended: boolean}} offset of the first retained byte, offset after the last loaded byte and whether more data will follow
+   */
+  range () {
+    return {
+      start: this._store.start(),
+      end: this._getCurrentEndOffset(),
+      ended: this._ended
+    }
+  }
+
+  /**
+   * Gets all active streams created by getStream and getFrameStream
+   * @returns {Array<{reader: Readable, offset: number|null, end: number}>} streams with their current position and end, which is 'Infinity' for 'read to end'
+   */
+  readers () {
+    return Array.from(this._readers, reader => ({
+      reader,
+      offset: reader._currentPos,
+      end: reader._endPos === undefined ? Infinity : reader._endPos
+    }))
+  }
+
+  /**
+   * Closes all active streams created by getStream and getFrameStream
+   * @param {Error} [error] error to destroy the streams with, otherwise they just close
+   */
+  closeReaders (error) {
+    for (const reader of Array.from(this._readers)) {
+      reader.destroy(error)
+    }
+  }
+
+  /**
+   * Gets runtime statistics. Events are also published to the diagnostics_channels
+   * 'streambuffer17:append', 'streambuffer17:evict' and 'streambuffer17:read', where available.
+   * @returns {Object} statistics with 'bytesWritten', 'bytesEvicted', 'start', 'end', 'size', 'peakSize', 'chunks',
+   * 'readers' (number of active streams), 'pendingReads' (buffer-reads waiting for data) and
+   * 'readerLag' (bytes between the position of every active stream and the end)
+   */
+  stats () {
+    const end = this._store.end()
+    const readerLag = []
 
-      this._seek = newSeek
+    for (const reader of this._readers) {
+      readerLag.push(reader._currentPos === null ? 0 : Math.max(end - reader._currentPos, 0))
     }
 
-    return this._seek
+    return {
+      bytesWritten: this._bytesWritten,
+      bytesEvicted: this._bytesEvicted,
+      start: this._store.start(),
+      end,
+      size: this.size(),
+      peakSize: this._peakSize,
+      chunks: this._store.count(),
+      readers: this._readers.size,
+      pendingReads: this._pendingReads,
+      readerLag
+    }
+  }
+
+  /**
+   * Gets the number of bytes the retained chunks occupy in memory, which is less than 'size()' for compressed or spilled chunks
+   * @returns {number} physical size of the StreamBuffer
+   */
+  memoryUsage () {
+    return this._store.memoryUsage()
   }
 
   /**
@@ -253,11 +1197,19 @@ class StreamBuffer extends Writable {
    * @returns {number} current size of the StreamBuffer
    */
   size () {
-    if (this._chunks.length === 0) {
-      return 0
-    }
+    return this._store.end() - this._store.start()
+  }
+}
 
-    return this._chunks[this._chunks.length - 1].end - this._chunks[0].start
+/**
+ * Typed accessors like readUInt32BE(offset, options), which read a value without copying the containing chunk
+ * @param {number|null} [offset] offset relative to the start of the stream or 'null' for current seek
+ * @param {Object} [options] 'signal' and 'timeout' like for getBuffer
+ * @returns {Promise<number|bigint>} requested value
+ */
+for (const method of Object.keys(valueSizes)) {
+  StreamBuffer.prototype[method] = async function (offset = null, options) {
+    return this._cursor[method](offset, options)
   }
 }
 
@@ -0,0 +1,572 @@
+const crypto = require('crypto')
+const { OutOfBoundsError } = require('./errors')
+const ReadAbort = require('./ReadAbort')
+const StreamBufferFrameReader = require('./StreamBufferFrameReader')
+const StreamBufferReader = require('./StreamBufferReader')
+const valueSizes = require('./valueSizes')
+const { createReadableStream } = require('./webStreams')
+
+/**
+ * Independent read-position inside of a StreamBuffer
+ */
+class StreamBufferCursor {
+  constructor (streamBuffer, offset, pinned) {
+    this._streamBuffer = streamBuffer
+    this._seek = offset
+    this._error = null
+    this._pin = null
+
+    if (pinned) {
+      this._pin = streamBuffer._pin(this._getPinOffset(), error => {
+        this._pin = null
+        this._error = error
+      })
+    }
+  }
+
+  // 'from' and 'to' of the object-overloads select the range between two marks
+  _resolveMarks (options, length, offset) {
+    const streamBuffer = this._streamBuffer
+
+    if (options.from !== undefined) {
+      offset = streamBuffer._markOffset(options.from)
+    }
+
+    if (options.to !== undefined) {
+      const end = streamBuffer._markOffset(options.to)
+
+      if (offset === null) {
+        offset = this.seek()
+      }
+
+      if (offset === null || end < offset) {
+        throw new Error('invalid mark-range!')
+      }
+
+      length = end - offset
+    }
+
+    return {
+      length,
+      offset
+    }
+  }
+
+  _getPinOffset () {
+    return this._seek === null ? Infinity : this._seek
+  }
+
+  /**
+   * Creates new Buffer from a slice of the stream
+   * @param {number|null} [length] length of the buffer or 'null' for 'read to end'
+   * @param {number|null} [offset] offset relative to the start of the stream or 'null' for current seek
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] signal to abort the pending read
+   * @param {number} [options.timeout] maximum time in ms to wait for new data
+   * @param {string} [options.onGap] 'error' (default), 'skip' to the oldest retained data or 'skipToLive' to the end, if the data at the offset is gone;
+   * when skipping, the buffer has a 'streamOffset'-property with the actual offset of its data
+   * @returns {Promise<Buffer>} requested buffer
+   */
+  async getBuffer (length = null, offset = null, options) {
+    const streamBuffer = this._streamBuffer
+
+    if (this._error) {
+      throw this._error
+    }
+
+    if (length === null) {
+      length = Infinity
+    }
+
+    if (offset === null) {
+      offset = this.seek()
+    }
+
+    const onGap = (options && options.onGap) || 'error'
+    streamBuffer._checkGapPolicy(onGap)
+
+    const abort = new ReadAbort(streamBuffer, options)
+
+    try {
+      if (offset === null) {
+        offset = await streamBuffer._waitForOffset(offset, abort)
+      }
+
+      offset = streamBuffer._resolveGap(offset, onGap)
+      this.seek(offset + length)
+
+      const buffer = await streamBuffer._readBuffer(offset, length, abort)
+
+      // the offset might differ from the requested one, after skipping a gap
+      if (onGap !== 'error') {
+        buffer.streamOffset = offset
+      }
+
+      return buffer
+    } finally {
+      abort.release()
+    }
+  }
+
+  /**
+   * Creates a new ReadableStream from a slice of the stream.
+   * Instead of length and offset, an object with 'length', 'offset' and 'since' can be passed as the only argument,
+   * or with the names of marks as 'from' and 'to'.
+   * @param {number|null|Object} [length] length of the stream or 'null' for 'read to end'
+   * @param {number|null} [offset] offset relative to the start of the stream or 'null' for current seek
+   * @param {Object} [options] additional options to pass to the returned readable stream instance
+   * @param {Date|number} [options.since] start at the first data, which arrived at or after this point in time
+   * @param {AbortSignal} [options.signal] signal to destroy the stream
+   * @param {number} [options.timeout] maximum time in ms to wait for new data, before the stream gets destroyed
+   * @param {string} [options.onGap] 'error' (default), 'skip' to the oldest retained data or 'skipToLive' to the end,
+   * when the data at the position of the stream is gone; skipped ranges are emitted as 'gap'-event with 'start' and 'end'
+   * @returns {ReadableStream} requested stream
+   */
+  getStream (length = null, offset = null, options) {
+    const streamBuffer = this._streamBuffer
+
+    // before the seek moves, a rejected stream must not change the read-position
+    streamBuffer._checkReaderLimit()
+
+    if (length !== null && typeof length === 'object') {
+      options = length
+      length = options.length === undefined ? null : options.length
+      offset = options.offset === undefined ? null : options.offset
+
+      const range = this._resolveMarks(options, length, offset)
+      length = range.length
+      offset = range.offset
+    }
+
+    if (options && options.since !== undefined) {
+      offset = streamBuffer.offsetAt(options.since)
+    }
+
+    if (this._error) {
+      const result = new StreamBufferReader(streamBuffer, 0, 0, options)
+      result.destroy(this._error)
+
+      return result
+    }
+
+    if (length === null) {
+      length = Infinity
+    }
+
+    if (offset === null) {
+      offset = this.seek()
+    }
+
+    if (offset === null) {
+      // hacky way to get a valid zero-length stream
+      const anyLoadedPoint = streamBuffer._getCurrentEndOffset()
+      const result = new StreamBufferReader(streamBuffer, anyLoadedPoint, anyLoadedPoint, options)
+
+      // destroy stream, when no zero-length expected
+      if (length !== 0 && length !== Infinity) {
+        result.destroy(streamBuffer._createError(OutOfBoundsError, null, length, 'out of bounds'))
+      }
+
+      return result
+    }
+
+    const endPos = offset + length
+
+    this.seek(endPos)
+
+    return new StreamBufferReader(streamBuffer, offset, endPos, options)
+  }
+
+  /**
+   * Creates a new byte-oriented WHATWG ReadableStream from a slice of the stream, which supports BYOB-readers.
+   * Instead of length and offset, an object with 'length', 'offset' and 'since' can be passed as the only argument,
+   * or with the names of marks as 'from' and 'to'.
+   * @param {number|null|Object} [length] length of the stream or 'null' for 'read to end'
+   * @param {number|null} [offset] offset relative to the start of the stream or 'null' for current seek
+   * @param {Object} [options]
+   * @param {Date|number} [options.since] start at the first data, which arrived at or after this point in time
+   * @param {AbortSignal} [options.signal] signal to error the stream
+   * @param {number} [options.timeout] maximum time in ms to wait for new data, before the stream errors
+   * @returns {ReadableStream} requested stream
+   */
+  getReadableStream (length = null, offset = null, options) {
+    const streamBuffer = this._streamBuffer
+
+    if (length !== null && typeof length === 'object') {
+      options = length
+      length = options.length === undefined ? null : options.length
+      offset = options.offset === undefined ? null : options.offset
+
+      const range = this._resolveMarks(options, length, offset)
+      length = range.length
+      offset = range.offset
+    }
+
+    if (options && options.since !== undefined) {
+      offset = streamBuffer.offsetAt(options.since)
+    }
+
+    if (this._error) {
+      return createReadableStream(streamBuffer, 0, 0, options, this._error)
+    }
+
+    if (length === null) {
+      length = Infinity
+    }
+
+    if (offset === null) {
+      offset = this.seek()
+    }
+
+    if (offset === null) {
+      const anyLoadedPoint = streamBuffer._getCurrentEndOffset()
+      // error stream, when no zero-length expected
+      const error = length !== 0 && length !== Infinity ? streamBuffer._createError(OutOfBoundsError, null, length, 'out of bounds') : null
+
+      return createReadableStream(streamBuffer, anyLoadedPoint, anyLoadedPoint, options, error)
+    }
+
+    const endPos = offset + length
+
+    this.seek(endPos)
+
+    return createReadableStream(streamBuffer, offset, endPos, options)
+  }
+
+  /**
+   * Creates a new object-mode ReadableStream, which emits one buffer per framed message
+   * @param {Object} options additional options to pass to the returned readable stream instance and the following
+   * @param {string} options.framing 'uint8', 'uint16be', 'uint16le', 'uint32be', 'uint32le', 'varint' or 'delimiter'
+   * @param {Buffer|string} [options.delimiter] delimiter between the messages for the 'delimiter'-framing
+   * @param {number} [options.maxFrameSize] maximum length of a message, defaults to 'maxBufferSize'
+   * @param {number|null} [options.offset] offset relative to the start of the stream or 'null' for current seek
+   * @param {AbortSignal} [options.signal] signal to destroy the stream
+   * @param {number} [options.timeout] maximum time in ms to wait for new data, before the stream gets destroyed
+   * @returns {ReadableStream} stream of messages
+   */
+  getFrameStream (options) {
+    let offset = options.offset === undefined ? null : options.offset
+
+    if (offset === null) {
+      offset = this.seek()
+    }
+
+    const result = new StreamBufferFrameReader(this._streamBuffer, offset, options)
+
+    if (this._error) {
+      result.destroy(this._error)
+    }
+
+    // the end of the messages is unknown
+    this.seek(null)
+
+    return result
+  }
+
+  /**
+   * Iterates over a slice of the stream without creating a ReadableStream
+   * @param {Object} [options]
+   * @param {number|null} [options.length] length of the slice or 'null' for 'read to end'
+   * @param {number|null} [options.offset] offset relative to the start of the stream or 'null' for current seek
+   * @param {number|null} [options.chunkSize] maximum length of the returned buffers or 'null' for 'as stored'
+   * @param {Date|number} [options.since] start at the first data, which arrived at or after this point in time
+   * @param {AbortSignal} [options.signal] signal to abort the iteration
+   * @param {number} [options.timeout] maximum time in ms to wait for new data
+   * @returns {AsyncIterableIterator<Buffer>} iterator over the buffers of the slice
+   */
+  iterate (options) {
+    let { length = null, offset = null, chunkSize = null, since } = options || {}
+
+    if (this._error) {
+      const error = this._error
+
+      return (async function * () {
+        throw error
+      })()
+    }
+
+    if (length === null) {
+      length = Infinity
+    }
+
+    if (chunkSize === null) {
+      chunkSize = Infinity
+    }
+
+    if (since !== undefined) {
+      offset = this._streamBuffer.offsetAt(since)
+    }
+
+    if (offset === null) {
+      offset = this.seek()
+    }
+
+    // seek stays 'null', while the start is unknown
+    if (offset !== null) {
+      this.seek(offset + length)
+    }
+
+    const streamBuffer = this._streamBuffer
+
+    // the signal-listener is only added, once the iteration starts, so iterators, which never start, leak nothing
+    return (async function * () {
+      const abort = new ReadAbort(streamBuffer, options)
+
+      try {
+        yield * streamBuffer._iterate(offset, length, chunkSize, abort)
+      } finally {
+        abort.release()
+      }
+    })()
+  }
+
+  /**
+   * Iterates over the rest of the stream starting at the current seek
+   * @returns {AsyncIterableIterator<Buffer>} iterator over the buffers of the stream
+   */
+  [Symbol.asyncIterator] () {
+    return this.iterate()
+  }
+
+  /**
+   * Hashes a slice of the stream chunk by chunk, without concatenating it
+   * @param {string} algorithm hash-algorithm supported by crypto.createHash
+   * @param {number|null} [length] length of the slice or 'null' for 'read to end'
+   * @param {number|null} [offset] offset relative to the start of the stream or 'null' for current seek
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] signal to abort the pending read
+   * @param {number} [options.timeout] maximum time in ms to wait for new data
+   * @returns {Promise<Buffer>} digest of the slice
+   */
+  async hashRange (algorithm, length = null, offset = null, options) {
+    const streamBuffer = this._streamBuffer
+    const hash = crypto.createHash(algorithm)
+
+    if (this._error) {
+      throw this._error
+    }
+
+    if (length === null) {
+      length = Infinity
+    }
+
+    if (offset === null) {
+      offset = this.seek()
+    }
+
+    // seek stays 'null', while the start is unknown
+    if (offset !== null) {
+      this.seek(offset + length)
+    }
+
+    const abort = new ReadAbort(streamBuffer, options)
+
+    try {
+      for await (const chunk of streamBuffer._iterate(offset, length, Infinity, abort)) {
+        hash.update(chunk)
+      }
+    } finally {
+      abort.release()
+    }
+
+    return hash.digest()
+  }
+
+  /**
+   * Searches the stream for a pattern and waits for new data, until it is found or the stream ends
+   * @param {Buffer|string} pattern data to search for
+   * @param {number|null} [fromOffset] offset relative to the start of the stream or 'null' for current seek
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] signal to abort the search
+   * @param {number} [options.timeout] maximum time in ms to wait for new data
+   * @returns {Promise<number>} offset of the first match relative to the start of the stream or '-1'
+   */
+  async indexOf (pattern, fromOffset = null, options) {
+    if (this._error) {
+      throw this._error
+    }
+
+    if (fromOffset === null) {
+      fromOffset = this.seek()
+    }
+
+    const abort = new ReadAbort(this._streamBuffer, options)
+
+    try {
+      return await this._streamBuffer._indexOf(Buffer.from(pattern), fromOffset, Infinity, abort)
+    } finally {
+      abort.release()
+    }
+  }
+
+  /**
+   * Reads from the current seek up to a delimiter and moves the seek behind the delimiter
+   * @param {Buffer|string} delimiter data to search for
+   * @param {Object} [options]
+   * @param {number|null} [options.maxLength] maximum length of the returned buffer or 'null' for 'unlimited'
+   * @param {AbortSignal} [options.signal] signal to abort the read
+   * @param {number} [options.timeout] maximum time in ms to wait for new data
+   * @returns {Promise<Buffer|null>} data in front of the delimiter, the rest of the stream or 'null' at the end of the stream
+   */
+  async readUntil (delimiter, options) {
+    const abort = new ReadAbort(this._streamBuffer, options)
+
+    try {
+      return await this._readUntil(Buffer.from(delimiter), options, abort)
+    } finally {
+      abort.release()
+    }
+  }
+
+  async _readUntil (delimiter, { maxLength = null } = {}, abort) {
+    const streamBuffer = this._streamBuffer
+
+    if (this._error) {
+      throw this._error
+    }
+
+    if (maxLength === null) {
+      maxLength = Infinity
+    }
+
+    const offset = await streamBuffer._waitForOffset(this.seek(), abort)
+    const index = await streamBuffer._indexOf(delimiter, offset, maxLength + delimiter.length, abort)
+
+    if (index === -1) {
+      if (!streamBuffer._ended) {
+        throw new Error('maxLength exceeded!')
+      }
+
+      // return the rest of the stream without delimiter
+      const length = streamBuffer._getCurrentEndOffset() - offset
+
+      if (length === 0) {
+        return null
+      }
+
+      if (length > maxLength) {
+        throw new Error('maxLength exceeded!')
+      }
+
+      this.seek(offset + length)
+
+      return streamBuffer._readBuffer(offset, length, abort)
+    }
+
+    if (index - offset > maxLength) {
+      throw new Error('maxLength exceeded!')
+    }
+
+    this.seek(index + delimiter.length)
+
+    return streamBuffer._readBuffer(offset, index - offset, abort)
+  }
+
+  /**
+   * Reads the next line, which is terminated by '\n' or '\r\n', and moves the seek behind it
+   * @param {Object} [options]
+   * @param {number|null} [options.maxLength] maximum length of the line or 'null' for 'unlimited'
+   * @param {string} [options.encoding] encoding of the line, defaults to 'utf8'
+   * @param {AbortSignal} [options.signal] signal to abort the read
+   * @param {number} [options.timeout] maximum time in ms to wait for new data
+   * @returns {Promise<string|null>} line without line-terminator or 'null' at the end of the stream
+   */
+  async readLine (options) {
+    const { encoding = 'utf8' } = options || {}
+    const line = await this.readUntil('\n', options)
+
+    if (line === null) {
+      return null
+    }
+
+    const end = line.length > 0 && line[line.length - 1] === 0x0D ? line.length - 1 : line.length
+
+    return line.toString(encoding, 0, end)
+  }
+
+  async _readValue (length, offset, options, read) {
+    if (this._error) {
+      throw this._error
+    }
+
+    if (offset === null) {
+      offset = this.seek()
+    }
+
+    if (offset !== null) {
+      this.seek(offset + length)
+    }
+
+    const abort = new ReadAbort(this._streamBuffer, options)
+
+    try {
+      return await this._streamBuffer._readValue(offset, length, read, abort)
+    } finally {
+      abort.release()
+    }
+  }
+
+  /**
+   * Reads a string from the stream
+   * @param {number} length length of the string in bytes
+   * @param {string} [encoding] encoding of the string, defaults to 'utf8'
+   * @param {number|null} [offset] offset relative to the start of the stream or 'null' for current seek
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] signal to abort the read
+   * @param {number} [options.timeout] maximum time in ms to wait for new data
+   * @returns {Promise<string>} requested string
+   */
+  async readString (length, encoding = 'utf8', offset = null, options) {
+    return this._readValue(length, offset, options, chunk => chunk.toString(encoding, 0, length))
+  }
+
+  /**
+   * Gets or sets the current seek
+   * @param {number|null} [newSeek] offset relative to the start of the stream or 'null' for 'end of stream'
+   * @returns {number|null} current seek or 'null' if the seek is set to the end of the stream and is jet unknown
+   */
+  seek (newSeek) {
+    if (typeof newSeek !== 'undefined') {
+      if (newSeek === Infinity) {
+        newSeek = null
+      }
+
+      this._seek = newSeek
+
+      if (this._pin) {
+        this._streamBuffer._movePin(this._pin, this._getPinOffset())
+      }
+    }
+
+    // resolve 'end of stream', once it is known
+    if (this._seek === null && this._streamBuffer._ended) {
+      this._seek = this._streamBuffer._getCurrentEndOffset()
+    }
+
+    return this._seek
+  }
+
+  /**
+   * Releases the chunks retained for this cursor, reading is still possible afterwards
+   */
+  close () {
+    if (this._pin) {
+      this._streamBuffer._unpin(this._pin)
+      this._pin = null
+    }
+  }
+}
+
+/**
+ * Typed accessors like readUInt32BE(offset, options), which read a value without copying the containing chunk
+ * @param {number|null} [offset] offset relative to the start of the stream or 'null' for current seek
+ * @param {Object} [options] 'signal' and 'timeout' like for getBuffer
+ * @returns {Promise<number|bigint>} requested value
+ */
+for (const [method, length] of Object.entries(valueSizes)) {
+  StreamBufferCursor.prototype[method] = async function (offset = null, options) {
+    return this._readValue(length, offset, options, chunk => chunk[method](0))
+  }
+}
+
+module.exports = StreamBufferCursor
@@ -0,0 +1,154 @@
+const { Readable } = require('stream')
+const ReadAbort = require('./ReadAbort')
+
+// maximum number of bytes of a varint, values beyond Number.MAX_SAFE_INTEGER get rejected anyway
+const MAX_VARINT_LENGTH = 8
+
+const INTEGER_FRAMINGS = {
+  uint8: ['readUInt8', 1],
+  uint16be: ['readUInt16BE', 2],
+  uint16le: ['readUInt16LE', 2],
+  uint32be: ['readUInt32BE', 4],
+  uint32le: ['readUInt32LE', 4]
+}
+
+/**
+ * Helper to allow reading framed messages from the StreamBuffer as an object-mode stream
+ */
+class StreamBufferFrameReader extends Readable {
+  constructor (streamCache, startPos, options) {
+    options = options || {}
+    super(Object.assign({}, options, { objectMode: true }))
+    streamCache._checkReaderLimit()
+
+    if (!INTEGER_FRAMINGS[options.framing] && options.framing !== 'varint' && options.framing !== 'delimiter') {
+      throw new Error('unknown framing!')
+    }
+
+    if (options.framing === 'delimiter' && (options.delimiter === undefined || options.delimiter.length === 0)) {
+      throw new Error('delimiter missing!')
+    }
+
+    this._streamCache = streamCache
+    this._currentPos = startPos
+    this._framing = options.framing
+    this._delimiter = options.framing === 'delimiter' ? Buffer.from(options.delimiter) : null
+    this._maxFrameSize = options.maxFrameSize || streamCache._maxBufferSize
+    this._isReading = false
+    this._pin = streamCache._pin(startPos === null ? Infinity : startPos, error => this.destroy(error))
+    this._abort = new ReadAbort(streamCache, options)
+    streamCache._addReader(this)
+  }
+
+  async _readVarint (offset) {
+    let value = 0
+
+    for (let i = 0; i < MAX_VARINT_LENGTH; i++) {
+      if (!(await this._streamCache._waitForData(offset + i, 1, this._abort))) {
+        throw new Error('truncated frame!')
+      }
+
+      const byte = await this._streamCache._readValue(offset + i, 1, chunk => chunk[0], this._abort)
+      value += (byte & 0x7F) * Math.pow(2, 7 * i)
+
+      if ((byte & 0x80) === 0) {
+        // 8 bytes hold 56 bits, larger values would silently lose precision
+        if (value > Number.MAX_SAFE_INTEGER) {
+          break
+        }
+
+        return [value, i + 1]
+      }
+    }
+
+    throw new Error('invalid varint!')
+  }
+
+  async _readFrame () {
+    const streamCache = this._streamCache
+    const offset = await streamCache._waitForOffset(this._currentPos, this._abort)
+
+    // regular end of the stream
+    if (!(await streamCache._waitForData(offset, 1, this._abort))) {
+      return null
+    }
+
+    let headerLength = 0
+    let trailerLength = 0
+    let frameLength
+
+    if (this._framing === 'varint') {
+      [frameLength, headerLength] = await this._readVarint(offset)
+    } else if (this._framing === 'delimiter') {
+      const index = await streamCache._indexOf(this._delimiter, offset, this._maxFrameSize + this._delimiter.length, this._abort)
+
+      if (index === -1) {
+        throw new Error(streamCache._ended ? 'truncated frame!' : 'maxFrameSize exceeded!')
+      }
+
+      frameLength = index - offset
+      trailerLength = this._delimiter.length
+    } else {
+      const [method, length] = INTEGER_FRAMINGS[this._framing]
+
+      if (!(await streamCache._waitForData(offset, length, this._abort))) {
+        throw new Error('truncated frame!')
+      }
+
+      frameLength = await streamCache._readValue(offset, length, chunk => chunk[method](0), this._abort)
+      headerLength = length
+    }
+
+    if (frameLength > this._maxFrameSize) {
+      throw new Error('maxFrameSize exceeded!')
+    }
+
+    if (!(await streamCache._waitForData(offset + headerLength, frameLength, this._abort))) {
+      throw new Error('truncated frame!')
+    }
+
+    const frame = await streamCache._readBuffer(offset + headerLength, frameLength, this._abort)
+
+    this._currentPos = offset + headerLength + frameLength + trailerLength
+    streamCache._movePin(this._pin, this._currentPos)
+
+    return frame
+  }
+
+  _destroy (error, callback) {
+    this._streamCache._unpin(this._pin)
+    this._streamCache._removeReader(this)
+    this._abort.release()
+
+    return callback(error)
+  }
+
+  _read (size) {
+    if (this._isReading) {
+      return
+    }
+
+    this._isReading = true
+
+    this._readFrame().then(frame => {
+      this._isReading = false
+
+      if (frame === null) {
+        this._streamCache._unpin(this._pin)
+        this._streamCache._removeReader(this)
+        this._abort.release()
+      }
+
+      this.push(frame)
+    }, error => {
+      this._isReading = false
+
+      // older node-versions might call _read after destroy
+      if (!this.destroyed) {
+        this.destroy(error)
+      }
+    })
+  }
+}
+
+module.exports = StreamBufferFrameReader
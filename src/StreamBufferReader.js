@@ -1,4 +1,5 @@
 const { Readable } = require('stream')
+const ReadAbort = require('./ReadAbort')
 
 /**
  * Helper to allow reading from the StreamBuffer as a stream
@@ -6,11 +7,25 @@ const { Readable } = require('stream')
 class StreamBufferReader extends Readable {
   constructor (streamCache, startPos, endPos, options) {
     super(options)
+    streamCache._checkReaderLimit()
 
     this._streamCache = streamCache
+    this._startPos = startPos
+    this._length = endPos - startPos
     this._currentPos = startPos
     this._endPos = endPos
     this._isReading = false
+    this._onGap = (options && options.onGap) || 'error'
+    streamCache._checkGapPolicy(this._onGap)
+
+    this._pin = streamCache._pin(startPos, error => {
+      // readers skipping gaps just continue after the dropped chunks
+      if (this._onGap === 'error') {
+        this.destroy(this._stampError(error))
+      }
+    })
+    this._abort = new ReadAbort(streamCache, options)
+    streamCache._addReader(this)
   }
 
   async _doPush () {
@@ -19,32 +34,94 @@ class StreamBufferReader extends Readable {
     }
 
     this._isReading = true
+    this._abort.check()
 
     do {
       if (this._currentPos < this._endPos) {
-        const chunk = this._streamCache._getNextChunk(this._currentPos, this._endPos)
+        this._skipGap()
+
+        if (this._currentPos >= this._endPos) {
+          continue
+        }
+
+        let chunk = this._streamCache._getNextChunk(this._currentPos, this._endPos)
+
+        if (chunk !== null && typeof chunk.then === 'function') {
+          chunk = await chunk
+        }
 
         if (chunk === null) {
-          await this._streamCache._newChunksAvailable
+          await this._abort.wait(this._streamCache._newChunksAvailable)
         } else {
-          this._isReading = this.push(chunk)
           this._currentPos += chunk.length
+          this._streamCache._movePin(this._pin, this._currentPos)
+          this._isReading = this._pushChunk(chunk)
         }
 
         if (this._streamCache._ended && this._endPos === Infinity) {
           this._endPos = this._streamCache._getCurrentEndOffset()
         }
       } else {
+        this._streamCache._unpin(this._pin)
+        this._streamCache._removeReader(this)
+        this._abort.release()
         this.push(null)
         this._isReading = false
       }
     } while (this._isReading)
   }
 
+  _skipGap () {
+    const nextPos = Math.min(this._streamCache._resolveGap(this._currentPos, this._onGap), this._endPos)
+
+    if (nextPos !== this._currentPos) {
+      const gap = {
+        start: this._currentPos,
+        end: nextPos
+      }
+
+      this._currentPos = nextPos
+      this._streamCache._movePin(this._pin, nextPos)
+      this.emit('gap', gap)
+    }
+  }
+
+  // errors carry the requested slice, not the current read-position
+  _stampError (error) {
+    return this._streamCache._stampError(error, this._startPos, this._length)
+  }
+
+  _pushChunk (chunk) {
+    if (!this._readableState.objectMode) {
+      return this.push(chunk)
+    }
+
+    // chunks of object-mode StreamBuffers are arrays of records
+    let more = true
+
+    for (const item of chunk) {
+      more = this.push(item)
+    }
+
+    return more
+  }
+
+  _destroy (error, callback) {
+    this._streamCache._unpin(this._pin)
+    this._streamCache._removeReader(this)
+    this._abort.release()
+
+    return callback(error)
+  }
+
   _read (size) {
     this._doPush().catch(error => {
       this._isReading = false
-      this.destroy(error)
+
+      // older node-versions might call _read after destroy
+      if (!this.destroyed) {
+        this.destroy(this._stampError(error))
+      }
     })
   }
 }
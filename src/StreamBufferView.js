@@ -0,0 +1,164 @@
+const { OutOfBoundsError } = require('./errors')
+const ReadAbort = require('./ReadAbort')
+const StreamBufferReader = require('./StreamBufferReader')
+
+/**
+ * Read-only window into a StreamBuffer, which shares its chunks. All offsets are relative to the start of the view.
+ */
+class StreamBufferView {
+  constructor (streamBuffer, offset, length) {
+    this._streamBuffer = streamBuffer
+    this._start = offset
+    this._end = length === null ? Infinity : offset + length
+    this._seek = 0
+  }
+
+  // absolute end of the view, which ends early, when the StreamBuffer ends before
+  _getViewEnd () {
+    if (!this._streamBuffer._ended) {
+      return this._end
+    }
+
+    return Math.max(Math.min(this._end, this._streamBuffer._getCurrentEndOffset()), this._start)
+  }
+
+  // absolute end of a read, which must not leave the view
+  _getEnd (offset, length) {
+    const start = this._start + offset
+    const end = this._getViewEnd()
+
+    if (offset < 0 || start > end || (length !== Infinity && start + length > end)) {
+      throw this._streamBuffer._createError(OutOfBoundsError, offset, length)
+    }
+
+    return length === Infinity ? end : start + length
+  }
+
+  /**
+   * Creates new Buffer from a slice of the view
+   * @param {number|null} [length] length of the buffer or 'null' for 'read to end of view'
+   * @param {number|null} [offset] offset relative to the start of the view or 'null' for current seek
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] signal to abort the pending read
+   * @param {number} [options.timeout] maximum time in ms to wait for new data
+   * @returns {Promise<Buffer>} requested buffer
+   */
+  async getBuffer (length = null, offset = null, options) {
+    const streamBuffer = this._streamBuffer
+
+    if (length === null) {
+      length = Infinity
+    }
+
+    if (offset === null) {
+      offset = this.seek()
+    }
+
+    const abort = new ReadAbort(streamBuffer, options)
+
+    try {
+      if (offset === null) {
+        offset = await streamBuffer._waitForOffset(offset, abort) - this._start
+      }
+
+      const end = this._getEnd(offset, length)
+
+      this.seek(offset + length)
+
+      return await streamBuffer._readBuffer(this._start + offset, end - this._start - offset, abort)
+    } finally {
+      abort.release()
+    }
+  }
+
+  /**
+   * Creates a new ReadableStream from a slice of the view
+   * @param {number|null} [length] length of the stream or 'null' for 'read to end of view'
+   * @param {number|null} [offset] offset relative to the start of the view or 'null' for current seek
+   * @param {Object} [options] additional options to pass to the returned readable stream instance
+   * @param {AbortSignal} [options.signal] signal to destroy the stream
+   * @param {number} [options.timeout] maximum time in ms to wait for new data, before the stream gets destroyed
+   * @returns {ReadableStream} requested stream
+   */
+  getStream (length = null, offset = null, options) {
+    const streamBuffer = this._streamBuffer
+
+    // before the seek moves, a rejected stream must not change the read-position
+    streamBuffer._checkReaderLimit()
+
+    if (length === null) {
+      length = Infinity
+    }
+
+    if (offset === null) {
+      offset = this.seek()
+    }
+
+    if (offset === null) {
+      // hacky way to get a valid zero-length stream
+      const anyLoadedPoint = streamBuffer._getCurrentEndOffset()
+      const result = new StreamBufferReader(streamBuffer, anyLoadedPoint, anyLoadedPoint, options)
+
+      // destroy stream, when no zero-length expected
+      if (length !== 0 && length !== Infinity) {
+        result.destroy(streamBuffer._createError(OutOfBoundsError, null, length, 'out of bounds'))
+      }
+
+      return result
+    }
+
+    let end
+
+    try {
+      end = this._getEnd(offset, length)
+    } catch (error) {
+      const result = new StreamBufferReader(streamBuffer, 0, 0, options)
+      result.destroy(error)
+
+      return result
+    }
+
+    this.seek(offset + length)
+
+    return new StreamBufferReader(streamBuffer, this._start + offset, end, options)
+  }
+
+  /**
+   * Gets or sets the current seek
+   * @param {number|null} [newSeek] offset relative to the start of the view or 'null' for 'end of view'
+   * @returns {number|null} current seek or 'null' if the seek is set to the end of the view and is jet unknown
+   */
+  seek (newSeek) {
+    if (typeof newSeek !== 'undefined') {
+      this._seek = newSeek === Infinity ? null : newSeek
+    }
+
+    const end = this._getViewEnd()
+
+    // resolve 'end of view', once it is known
+    if (this._seek === null && end !== Infinity) {
+      this._seek = end - this._start
+    }
+
+    // the view got shorter, as the StreamBuffer ended before its end
+    if (this._seek !== null && this._seek > end - this._start) {
+      this._seek = end - this._start
+    }
+
+    return this._seek
+  }
+
+  /**
+   * Gets the number of retained bytes inside of the view
+   * @returns {number} current size of the view
+   */
+  size () {
+    const streamBuffer = this._streamBuffer
+    const start = Math.max(streamBuffer._store.start(), this._start)
+    const end = Math.min(streamBuffer._getCurrentEndOffset(), this._end)
+
+    return Math.max(end - start, 0)
+  }
+}
+
+module.exports = StreamBufferView
@@ -0,0 +1,101 @@
+// number of pruned slots to collect before compacting the index
+const MIN_COMPACT_SIZE = 1024
+
+/**
+ * Helper to map arrival-times of the written data to offsets
+ */
+class TimeIndex {
+  constructor () {
+    this._entries = [] // { start, time }
+    this._head = 0
+  }
+
+  // index of the last entry, which matches the predicate, assuming it is monotonic
+  _findLast (predicate) {
+    let low = this._head - 1
+    let high = this._entries.length - 1
+
+    while (low < high) {
+      const mid = (low + high + 1) >>> 1
+
+      if (predicate(this._entries[mid])) {
+        low = mid
+      } else {
+        high = mid - 1
+      }
+    }
+
+    return low
+  }
+
+  /**
+   * Records the arrival of new data
+   * @param {number} start offset of the new data
+   * @param {number} time arrival-time in ms
+   */
+  push (start, time) {
+    const last = this._entries[this._entries.length - 1]
+
+    if (this._entries.length > this._head) {
+      // one entry per ms is enough and time must never run backwards
+      if (time <= last.time) {
+        return
+      }
+    }
+
+    this._entries.push({
+      start,
+      time
+    })
+  }
+
+  /**
+   * Gets the arrival-time of the data at an offset
+   * @param {number} offset offset of the data
+   * @returns {number} arrival-time in ms
+   */
+  timeAt (offset) {
+    return this._entries[Math.max(this._findLast(entry => entry.start <= offset), this._head)].time
+  }
+
+  /**
+   * Gets the offset of the first data, which arrived at or after a time
+   * @param {number} time arrival-time in ms
+   * @returns {number|null} offset of the data or 'null' if no such data arrived jet
+   */
+  offsetAt (time) {
+    const index = this._findLast(entry => entry.time < time) + 1
+
+    if (index >= this._entries.length) {
+      return null
+    }
+
+    return this._entries[index].start
+  }
+
+  /**
+   * Gets all retained entries
+   * @returns {Array<{start: number, time: number}>} entries ordered by offset
+   */
+  entries () {
+    return this._entries.slice(this._head)
+  }
+
+  /**
+   * Drops all entries, which only describe data before an offset
+   * @param {number} offset offset of the oldest retained data
+   */
+  prune (offset) {
+    while (this._entries.length - this._head > 1 && this._entries[this._head + 1].start <= offset) {
+      this._entries[this._head] = undefined
+      this._head++
+    }
+
+    if (this._head >= MIN_COMPACT_SIZE && this._head * 2 >= this._entries.length) {
+      this._entries = this._entries.slice(this._head)
+      this._head = 0
+    }
+  }
+}
+
+module.exports = TimeIndex
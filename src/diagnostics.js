@@ -0,0 +1,29 @@
+let diagnosticsChannel = null
+
+try {
+  diagnosticsChannel = require('diagnostics_channel')
+} catch (error) {
+  // not available on older node-versions
+}
+
+function channel (name) {
+  return diagnosticsChannel !== null ? diagnosticsChannel.channel(`streambuffer17:${name}`) : null
+}
+
+/**
+ * Publishes a message, if somebody subscribed to the channel
+ * @param {Channel|null} channel channel to publish to
+ * @param {Function} createMessage creates the message, only called when needed
+ */
+function publish (channel, createMessage) {
+  if (channel !== null && channel.hasSubscribers) {
+    channel.publish(createMessage())
+  }
+}
+
+module.exports = {
+  append: channel('append'),
+  evict: channel('evict'),
+  read: channel('read'),
+  publish
+}
@@ -0,0 +1,68 @@
+/**
+ * Base class of all errors raised by reads from a StreamBuffer
+ */
+class StreamBufferError extends Error {
+  /**
+   * @param {string} message description of the error
+   * @param {string} code machine-readable code of the error
+   * @param {Object} [details]
+   * @param {number} [details.offset] requested offset
+   * @param {number} [details.length] requested length
+   * @param {{start: number, end: number, ended: boolean}} [details.range] retained range of the buffer, when the error occurred
+   */
+  constructor (message, code, details) {
+    super(message)
+
+    details = details || {}
+
+    this.name = this.constructor.name
+    this.code = code
+    this.offset = details.offset === undefined ? null : details.offset
+    this.length = details.length === undefined ? null : details.length
+    this.range = details.range || null
+  }
+}
+
+/**
+ * Raised, when the requested data has already been dropped
+ */
+class ChunkEvictedError extends StreamBufferError {
+  constructor (details, message = 'chunk gone!') {
+    super(message, 'ERR_CHUNK_EVICTED', details)
+  }
+}
+
+/**
+ * Raised, when the requested data lies beyond the end of an ended buffer
+ */
+class OutOfBoundsError extends StreamBufferError {
+  constructor (details, message = 'chunk-offset out of bounds!') {
+    super(message, 'ERR_OUT_OF_BOUNDS', details)
+  }
+}
+
+/**
+ * Raised, when a requested buffer exceeds 'maxBufferSize'
+ */
+class MaxBufferSizeError extends StreamBufferError {
+  constructor (details, message = 'maxBufferSize exceeded!') {
+    super(message, 'ERR_MAX_BUFFER_SIZE', details)
+  }
+}
+
+/**
+ * Raised by reads from a buffer, which was destroyed without an error
+ */
+class BufferDestroyedError extends StreamBufferError {
+  constructor (details, message = 'Stream destroyed!') {
+    super(message, 'ERR_BUFFER_DESTROYED', details)
+  }
+}
+
+module.exports = {
+  BufferDestroyedError,
+  ChunkEvictedError,
+  MaxBufferSizeError,
+  OutOfBoundsError,
+  StreamBufferError
+}
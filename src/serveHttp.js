@@ -0,0 +1,251 @@
+const crypto = require('crypto')
+const StreamBufferReader = require('./StreamBufferReader')
+
+// offsets never get reused, so one validator per StreamBuffer stays valid while it grows
+const etags = new WeakMap()
+
+function getEtag (streamBuffer) {
+  if (!etags.has(streamBuffer)) {
+    etags.set(streamBuffer, `"${crypto.randomBytes(8).toString('hex')}"`)
+  }
+
+  return etags.get(streamBuffer)
+}
+
+/**
+ * Parses a Range-header into byte-ranges, which are clamped to the available data
+ * @param {string} header value of the Range-header
+ * @param {number} start offset of the first retained byte
+ * @param {number} end offset after the last loaded byte
+ * @param {boolean} ended true if no more data will be written
+ * @returns {Array<{start: number, end: number}>|null} satisfiable ranges ('end' is Infinity for open ranges of growing buffers) or 'null' for malformed headers
+ */
+function parseRange (header, start, end, ended) {
+  const match = /^\s*bytes\s*=(.*)$/i.exec(header)
+
+  if (!match) {
+    return null
+  }
+
+  const ranges = []
+
+  for (const spec of match[1].split(',')) {
+    const parts = /^\s*(\d*)\s*-\s*(\d*)\s*$/.exec(spec)
+
+    if (!parts || (parts[1] === '' && parts[2] === '')) {
+      return null
+    }
+
+    let rangeStart
+    let rangeEnd
+
+    if (parts[1] === '') {
+      // suffix-range, serves the last retained bytes
+      const suffixLength = parseInt(parts[2], 10)
+
+      rangeStart = Math.max(end - suffixLength, start)
+      rangeEnd = end
+    } else {
+      rangeStart = parseInt(parts[1], 10)
+
+      if (parts[2] !== '') {
+        if (parseInt(parts[2], 10) < rangeStart) {
+          return null
+        }
+
+        rangeEnd = Math.min(parseInt(parts[2], 10) + 1, end)
+      } else {
+        rangeEnd = ended ? end : Infinity
+      }
+    }
+
+    // evicted ranges can't be satisfied anymore
+    if (rangeStart < start || (rangeStart >= rangeEnd && (ended || rangeEnd !== Infinity))) {
+      continue
+    }
+
+    ranges.push({ start: rangeStart, end: rangeEnd })
+  }
+
+  return ranges
+}
+
+function contentRange (range, total) {
+  const last = range.end === Infinity ? '*' : range.end - 1
+
+  return `bytes ${range.start}-${last}/${total === null ? '*' : total}`
+}
+
+function pipeRange (streamBuffer, range, res) {
+  return new Promise((resolve, reject) => {
+    const reader = new StreamBufferReader(streamBuffer, range.start, range.end)
+
+    function onClose () {
+      reader.destroy()
+      resolve()
+    }
+
+    res.once('close', onClose)
+    reader.once('error', error => {
+      res.removeListener('close', onClose)
+      reject(error)
+    })
+    reader.once('end', () => {
+      res.removeListener('close', onClose)
+      resolve()
+    })
+    reader.pipe(res, { end: false })
+  })
+}
+
+/**
+ * Answers a HTTP-request with the content of a StreamBuffer, respecting Range and If-Range.
+ * Open ranges of a still growing buffer are served with chunked encoding and a Content-Range without last-byte and length ('*').
+ * Once the start of the data is gone, requests without a satisfiable Range get the retained data
+ * and an 'X-Content-Offset'-header with the offset of its first byte.
+ * @param {StreamBuffer} streamBuffer buffer to serve
+ * @param {http.IncomingMessage} req request to answer
+ * @param {http.ServerResponse} res response to write to
+ * @param {Object} [options]
+ * @param {string} [options.contentType] Content-Type of the data, defaults to 'application/octet-stream'
+ * @param {string} [options.etag] ETag to send and to compare If-Range with, defaults to a random one per StreamBuffer
+ * @returns {Promise<void>} resolves, after the response was written
+ */
+async function serveHttp (streamBuffer, req, res, options) {
+  options = options || {}
+  const contentType = options.contentType || 'application/octet-stream'
+  const etag = options.etag || getEtag(streamBuffer)
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { Allow: 'GET, HEAD' })
+    res.end()
+
+    return
+  }
+
+  if (streamBuffer._destroyed) {
+    res.writeHead(500)
+    res.end()
+
+    throw streamBuffer._error
+  }
+
+  if (streamBuffer._readers.size >= streamBuffer._maxReaders) {
+    res.writeHead(503)
+    res.end()
+
+    return
+  }
+
+  const start = streamBuffer._store.start()
+  const end = streamBuffer._getCurrentEndOffset()
+  const ended = streamBuffer._ended
+  const total = ended ? end : null
+  const headers = {
+    'Accept-Ranges': 'bytes',
+    ETag: etag
+  }
+
+  let ranges = null
+  const rangeHeader = req.headers.range
+  const ifRange = req.headers['if-range']
+
+  if (rangeHeader && (!ifRange || ifRange.trim() === etag)) {
+    ranges = parseRange(rangeHeader, start, end, ended)
+  }
+
+  if (ranges !== null && ranges.length > 1) {
+    // every part of a multipart-response needs a known length, so open ranges get clamped to the loaded data
+    ranges = ranges
+      .map(range => ({ start: range.start, end: Math.min(range.end, end) }))
+      .filter(range => range.start < range.end)
+  }
+
+  let status = 200
+  let parts = null
+
+  if (ranges === null) {
+    headers['Content-Type'] = contentType
+    parts = [{ start, end: ended ? end : Infinity }]
+
+    // the start of the data is gone, so the body only holds the retained part
+    if (start > 0) {
+      headers['X-Content-Offset'] = start
+    }
+  } else if (ranges.length === 0) {
+    if (total !== null) {
+      headers['Content-Range'] = `bytes */${total}`
+    }
+
+    res.writeHead(416, headers)
+    res.end()
+
+    return
+  } else if (ranges.length === 1) {
+    status = 206
+    headers['Content-Type'] = contentType
+    headers['Content-Range'] = contentRange(ranges[0], total)
+    parts = ranges
+  } else {
+    const boundary = crypto.randomBytes(12).toString('hex')
+
+    status = 206
+    headers['Content-Type'] = `multipart/byteranges; boundary=${boundary}`
+    parts = []
+
+    for (const range of ranges) {
+      const part = { start: range.start, end: range.end }
+
+      part.head = `${parts.length > 0 ? '\r\n' : ''}--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: ${contentRange(part, total)}\r\n\r\n`
+      parts.push(part)
+    }
+
+    parts.tail = `\r\n--${boundary}--\r\n`
+  }
+
+  let contentLength = 0
+
+  for (const part of parts) {
+    contentLength += (part.head ? Buffer.byteLength(part.head) : 0) + part.end - part.start
+  }
+
+  if (parts.tail) {
+    contentLength += Buffer.byteLength(parts.tail)
+  }
+
+  // growing buffers are served with chunked encoding
+  if (contentLength !== Infinity) {
+    headers['Content-Length'] = contentLength
+  }
+
+  res.writeHead(status, headers)
+
+  if (req.method === 'HEAD') {
+    res.end()
+
+    return
+  }
+
+  try {
+    for (const part of parts) {
+      if (part.head) {
+        res.write(part.head)
+      }
+
+      await pipeRange(streamBuffer, part, res)
+    }
+
+    if (parts.tail) {
+      res.write(parts.tail)
+    }
+
+    res.end()
+  } catch (error) {
+    // headers are already sent, so the only way to signal the error is to abort the response
+    res.destroy(error)
+
+    throw error
+  }
+}
+
+module.exports = serveHttp
@@ -0,0 +1,188 @@
+const crypto = require('crypto')
+const fs = require('fs')
+const { promisify } = require('util')
+const TimeIndex = require('./TimeIndex')
+
+const open = promisify(fs.open)
+const read = promisify(fs.read)
+const close = promisify(fs.close)
+const rename = promisify(fs.rename)
+const unlink = promisify(fs.unlink)
+
+// file layout: MAGIC, UInt32BE header-length, JSON-header, chunks as UInt32BE length followed by the data
+const MAGIC = Buffer.from('SB17SNAP')
+const VERSION = 1
+
+function writeTo (file, data) {
+  if (file.write(data)) {
+    return null
+  }
+
+  return new Promise((resolve, reject) => {
+    function onDrain () {
+      file.removeListener('error', onError)
+      resolve()
+    }
+
+    function onError (error) {
+      file.removeListener('drain', onDrain)
+      reject(error)
+    }
+
+    file.once('drain', onDrain)
+    file.once('error', onError)
+  })
+}
+
+function lengthPrefix (length) {
+  const prefix = Buffer.allocUnsafe(4)
+  prefix.writeUInt32BE(length, 0)
+
+  return prefix
+}
+
+/**
+ * Writes the retained chunks of a StreamBuffer chunk by chunk to a file
+ * @param {StreamBuffer} streamBuffer buffer to save
+ * @param {string} path path of the snapshot-file, which gets replaced once the snapshot is complete
+ * @returns {Promise<void>}
+ */
+async function saveSnapshot (streamBuffer, path) {
+  const start = streamBuffer._store.start()
+  const end = streamBuffer._getCurrentEndOffset()
+  const header = Buffer.from(JSON.stringify({
+    version: VERSION,
+    start,
+    end,
+    seek: streamBuffer.seek(),
+    ended: streamBuffer._ended,
+    times: streamBuffer._timeIndex.entries().map(entry => [entry.start, entry.time])
+  }))
+
+  let dropError = null
+  const pin = streamBuffer._pin(start, error => {
+    dropError = error
+  })
+
+  const tmpPath = `${path}.${crypto.randomBytes(6).toString('hex')}.tmp`
+  const file = fs.createWriteStream(tmpPath)
+  const closed = new Promise((resolve, reject) => {
+    file.once('close', resolve)
+    file.once('error', reject)
+  })
+
+  // errors get handled, once the writing is done
+  closed.catch(() => {})
+
+  try {
+    await writeTo(file, Buffer.concat([MAGIC, lengthPrefix(header.length), header]))
+
+    let offset = start
+
+    while (offset < end) {
+      let chunk = streamBuffer._getNextChunk(offset, end)
+
+      if (chunk !== null && typeof chunk.then === 'function') {
+        chunk = await chunk
+      }
+
+      if (dropError) {
+        throw dropError
+      }
+
+      offset += chunk.length
+      streamBuffer._movePin(pin, offset)
+
+      await writeTo(file, lengthPrefix(chunk.length))
+      await writeTo(file, chunk)
+    }
+
+    file.end()
+    await closed
+    await rename(tmpPath, path)
+  } catch (error) {
+    file.destroy()
+    await closed.catch(() => {})
+    await unlink(tmpPath).catch(() => {})
+
+    throw error
+  } finally {
+    streamBuffer._unpin(pin)
+  }
+}
+
+async function readExactly (fd, position, length) {
+  const buffer = Buffer.allocUnsafe(length)
+  const { bytesRead } = await read(fd, buffer, 0, length, position)
+
+  if (bytesRead !== length) {
+    throw new Error('snapshot truncated!')
+  }
+
+  return buffer
+}
+
+/**
+ * Restores the chunks of a snapshot-file into an empty StreamBuffer
+ * @param {StreamBuffer} streamBuffer buffer to restore into
+ * @param {string} path path of the snapshot-file
+ * @returns {Promise<void>}
+ */
+async function loadSnapshot (streamBuffer, path) {
+  const fd = await open(path, 'r')
+
+  try {
+    let position = 0
+    const magic = await readExactly(fd, position, MAGIC.length + 4)
+    position += magic.length
+
+    if (!magic.slice(0, MAGIC.length).equals(MAGIC)) {
+      throw new Error('invalid snapshot!')
+    }
+
+    const headerLength = magic.readUInt32BE(MAGIC.length)
+    const header = JSON.parse((await readExactly(fd, position, headerLength)).toString())
+    position += headerLength
+
+    if (header.version !== VERSION) {
+      throw new Error('unsupported snapshot-version!')
+    }
+
+    // the digest would silently miss the dropped data
+    if (streamBuffer._hash !== null && header.start > 0) {
+      throw new Error('hash needs the start of the stream!')
+    }
+
+    const timeIndex = new TimeIndex()
+
+    for (const [start, time] of header.times) {
+      timeIndex.push(start, time)
+    }
+
+    await streamBuffer._lockStore(() => streamBuffer._store.advance(header.start))
+
+    let offset = header.start
+
+    while (offset < header.end) {
+      const length = (await readExactly(fd, position, 4)).readUInt32BE(0)
+      const chunk = await readExactly(fd, position + 4, length)
+      position += 4 + length
+
+      await streamBuffer._appendChunk(chunk, header.times.length > 0 ? timeIndex.timeAt(offset) : Date.now())
+      offset += length
+    }
+
+    streamBuffer.seek(header.seek)
+
+    if (header.ended) {
+      await new Promise(resolve => streamBuffer.end(resolve))
+    }
+  } finally {
+    await close(fd)
+  }
+}
+
+module.exports = {
+  loadSnapshot,
+  saveSnapshot
+}
@@ -0,0 +1,30 @@
+// sizes of the values read by the Buffer-methods of the same name
+const valueSizes = {
+  readInt8: 1,
+  readUInt8: 1,
+  readInt16BE: 2,
+  readInt16LE: 2,
+  readUInt16BE: 2,
+  readUInt16LE: 2,
+  readInt32BE: 4,
+  readInt32LE: 4,
+  readUInt32BE: 4,
+  readUInt32LE: 4,
+  readFloatBE: 4,
+  readFloatLE: 4,
+  readDoubleBE: 8,
+  readDoubleLE: 8,
+  readBigInt64BE: 8,
+  readBigInt64LE: 8,
+  readBigUInt64BE: 8,
+  readBigUInt64LE: 8
+}
+
+// BigInt-methods are missing in older node-versions
+for (const method of Object.keys(valueSizes)) {
+  if (typeof Buffer.prototype[method] !== 'function') {
+    delete valueSizes[method]
+  }
+}
+
+module.exports = valueSizes
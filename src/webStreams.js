@@ -0,0 +1,154 @@
+/* global ReadableStream, WritableStream */
+
+const ReadAbort = require('./ReadAbort')
+
+let webStreams
+
+/**
+ * Checks if the current node-version supports WHATWG streams
+ * @returns {boolean} true if supported
+ */
+function isSupported () {
+  if (webStreams === undefined) {
+    if (typeof ReadableStream === 'function' && typeof WritableStream === 'function') {
+      webStreams = { ReadableStream, WritableStream }
+    } else {
+      try {
+        webStreams = require('stream/web')
+      } catch (error) {
+        webStreams = null
+      }
+    }
+  }
+
+  return webStreams !== null
+}
+
+/**
+ * Gets the WHATWG stream-classes of the current node-version
+ * @returns {{ReadableStream: Function, WritableStream: Function}} stream-classes
+ */
+function getWebStreams () {
+  if (!isSupported()) {
+    throw new Error('Web Streams are not supported!')
+  }
+
+  return webStreams
+}
+
+/**
+ * Creates a byte-oriented ReadableStream from a slice of the StreamBuffer
+ * @param {StreamBuffer} streamBuffer buffer to read from
+ * @param {number} startPos offset of the first byte
+ * @param {number} endPos offset after the last byte or 'Infinity' for 'read to end'
+ * @param {Object} [options] 'signal' and 'timeout' like for getStream
+ * @param {Error|null} [error] error to fail the stream with right away
+ * @returns {ReadableStream} requested stream
+ */
+function createReadableStream (streamBuffer, startPos, endPos, options, error = null) {
+  const { ReadableStream } = getWebStreams()
+  const length = endPos - startPos
+  let currentPos = startPos
+  let dropError = null
+  const pin = streamBuffer._pin(startPos, error => {
+    dropError = error
+    streamBuffer._triggerNewChunksAvailable()
+  })
+  const abort = new ReadAbort(streamBuffer, options)
+
+  function release () {
+    streamBuffer._unpin(pin)
+    abort.release()
+  }
+
+  async function pull (controller) {
+    const byobRequest = controller.byobRequest
+
+    while (currentPos < endPos) {
+      if (streamBuffer._ended && endPos === Infinity) {
+        // reads of a byobRequest are bounded, so they must not reach beyond the final end
+        endPos = streamBuffer._getCurrentEndOffset()
+        continue
+      }
+
+      const end = byobRequest ? Math.min(endPos, currentPos + byobRequest.view.byteLength) : endPos
+      let chunk = streamBuffer._getNextChunk(currentPos, end)
+
+      if (chunk !== null && typeof chunk.then === 'function') {
+        chunk = await chunk
+      }
+
+      if (dropError) {
+        throw dropError
+      }
+
+      if (chunk === null) {
+        await abort.wait(streamBuffer._newChunksAvailable)
+      } else if (chunk.length > 0) {
+        currentPos += chunk.length
+        streamBuffer._movePin(pin, currentPos)
+
+        if (byobRequest) {
+          new Uint8Array(byobRequest.view.buffer, byobRequest.view.byteOffset, chunk.length).set(chunk)
+          byobRequest.respond(chunk.length)
+        } else {
+          // enqueue transfers the underlying memory, so the stored chunk must not be passed
+          controller.enqueue(new Uint8Array(chunk))
+        }
+
+        return
+      }
+    }
+
+    release()
+    controller.close()
+
+    if (byobRequest) {
+      byobRequest.respond(0)
+    }
+  }
+
+  return new ReadableStream({
+    type: 'bytes',
+    start: controller => {
+      if (error) {
+        release()
+        controller.error(error)
+      }
+    },
+    pull: controller => pull(controller).catch(error => {
+      release()
+      throw streamBuffer._stampError(error, startPos, length)
+    }),
+    cancel: release
+  })
+}
+
+/**
+ * Creates a WritableStream, which writes into the StreamBuffer
+ * @param {StreamBuffer} streamBuffer buffer to write to
+ * @returns {WritableStream} new stream
+ */
+function createWritableStream (streamBuffer) {
+  const { WritableStream } = getWebStreams()
+
+  return new WritableStream({
+    write: chunk => new Promise((resolve, reject) => {
+      // copy, as the writer might reuse its memory
+      streamBuffer.write(Buffer.from(chunk), error => error ? reject(error) : resolve())
+    }),
+    close: () => new Promise((resolve, reject) => {
+      streamBuffer.end(error => error ? reject(error) : resolve())
+    }),
+    abort: reason => {
+      streamBuffer.destroy(reason instanceof Error ? reason : new Error('Stream aborted!'))
+    }
+  })
+}
+
+module.exports = {
+  createReadableStream,
+  createWritableStream,
+  getWebStreams,
+  isSupported
+}
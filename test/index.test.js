@@ -1,5 +1,10 @@
-/* global describe, it */
+/* global describe, it, before, BigInt, ReadableStream */
 
+const crypto = require('crypto')
+const fs = require('fs')
+const http = require('http')
+const { Writable } = require('stream')
+const os = require('os')
 const assert = require('chai').assert
 const StreamBuffer = require('../index.js')
 
@@ -39,8 +44,19 @@ async function endPromised (stream) {
   return promise
 }
 
+const chunkStores = {
+  MemoryChunkStore: options => new StreamBuffer.MemoryChunkStore(options),
+  FileChunkStore: options => new StreamBuffer.FileChunkStore(options),
+  CompressedChunkStore: options => new StreamBuffer.CompressedChunkStore(options)
+}
+let createChunkStore = null
+
+function createStreamBuffer (options) {
+  return new StreamBuffer(Object.assign(createChunkStore ? { store: createChunkStore(options) } : {}, options))
+}
+
 async function createOpenTestStream (options) {
-  const stream = new StreamBuffer(options)
+  const stream = createStreamBuffer(options)
 
   await writePromised(stream, Buffer.from([ 0xBE, 0xEF, 0xFE, 0xED ]))
   await writePromised(stream, Buffer.from([ 0x01, 0x23, 0x45, 0x67 ]))
@@ -57,6 +73,87 @@ async function createTestStream (options) {
   return stream
 }
 
+// minimal AbortController, which also works on node-versions without one
+function createAbortController () {
+  const listeners = new Set()
+  const signal = {
+    aborted: false,
+    addEventListener (type, listener) {
+      listeners.add(listener)
+    },
+    removeEventListener (type, listener) {
+      listeners.delete(listener)
+    }
+  }
+
+  return {
+    signal,
+    listeners,
+    abort () {
+      signal.aborted = true
+
+      for (const listener of listeners) {
+        listener()
+      }
+    }
+  }
+}
+
+async function readFrames (frameStream) {
+  const frames = []
+
+  for await (const frame of frameStream) {
+    frames.push(frame.toString('hex'))
+  }
+
+  return frames
+}
+
+function supportsWebStreams () {
+  try {
+    return typeof ReadableStream === 'function' || !!require('stream/web')
+  } catch (error) {
+    return false
+  }
+}
+
+async function readWebStream (readableStream) {
+  const reader = readableStream.getReader()
+  const chunks = []
+
+  for (;;) {
+    const { done, value } = await reader.read()
+
+    if (done) {
+      return Buffer.concat(chunks)
+    }
+
+    chunks.push(Buffer.from(value))
+  }
+}
+
+// serves the stream on a random port for a single request
+async function requestHttp (stream, headers, options) {
+  const server = http.createServer((req, res) => {
+    stream.serveHttp(req, res, options).catch(() => {})
+  })
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+
+  try {
+    return await new Promise((resolve, reject) => {
+      http.get({ port: server.address().port, host: '127.0.0.1', headers }, res => {
+        const chunks = []
+
+        res.on('data', chunk => chunks.push(chunk))
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }))
+      }).on('error', reject)
+    })
+  } finally {
+    server.close()
+  }
+}
+
 async function createTestStreamWithDroppedChunk () {
   const stream = await createTestStream({
     maxSize: 12
@@ -65,7 +162,7 @@ async function createTestStreamWithDroppedChunk () {
   return stream
 }
 
-describe('StreamBuffer', function () {
+function testStreamBuffer () {
   it('accepts data being written to it', async function () {
     await createTestStream()
   })
@@ -137,7 +234,7 @@ describe('StreamBuffer', function () {
   })
 
   it('replays empty as buffer', async function () {
-    const stream = new StreamBuffer()
+    const stream = createStreamBuffer()
     await endPromised(stream)
     const expected = Buffer.from([])
 
@@ -156,7 +253,7 @@ describe('StreamBuffer', function () {
     ])
 
     const newStream = stream.getStream()
-    const newStreamBuffer = new StreamBuffer()
+    const newStreamBuffer = createStreamBuffer()
 
     newStream.pipe(newStreamBuffer)
 
@@ -176,7 +273,7 @@ describe('StreamBuffer', function () {
     ])
 
     const newStream = stream.getStream()
-    const newStreamBuffer = new StreamBuffer()
+    const newStreamBuffer = createStreamBuffer()
     newStream.pipe(newStreamBuffer)
 
     await writePromised(stream, Buffer.from([ 0x55, 0x55, 0x55, 0x55 ]))
@@ -188,12 +285,12 @@ describe('StreamBuffer', function () {
   })
 
   it('replays empty as stream', async function () {
-    const stream = new StreamBuffer()
+    const stream = createStreamBuffer()
     await endPromised(stream)
     const expected = Buffer.from([])
 
     const newStream = stream.getStream()
-    const newStreamBuffer = new StreamBuffer()
+    const newStreamBuffer = createStreamBuffer()
 
     newStream.pipe(newStreamBuffer)
 
@@ -448,7 +545,7 @@ describe('StreamBuffer', function () {
     const stream = await createTestStream()
     const testStream = stream.getStream()
 
-    const tmpStream = new StreamBuffer()
+    const tmpStream = createStreamBuffer()
     testStream.pipe(tmpStream)
 
     const buffer = await tmpStream.getBuffer()
@@ -552,7 +649,7 @@ describe('StreamBuffer', function () {
   })
 
   it('returns error when trying to write to an already closed stream', async function () {
-    const stream = new StreamBuffer()
+    const stream = createStreamBuffer()
     await endPromised(stream)
     let failed = false
 
@@ -591,7 +688,7 @@ describe('StreamBuffer', function () {
     await stream.getBuffer()
 
     const testStream = stream.getStream()
-    const testStreamBuffer = new StreamBuffer()
+    const testStreamBuffer = createStreamBuffer()
     testStream.pipe(testStreamBuffer)
 
     const buffer = await testStreamBuffer.getBuffer()
@@ -604,7 +701,7 @@ describe('StreamBuffer', function () {
     stream.getBuffer()
 
     const testStream = stream.getStream()
-    const testStreamBuffer = new StreamBuffer()
+    const testStreamBuffer = createStreamBuffer()
     testStream.pipe(testStreamBuffer)
 
     await writePromised(stream, Buffer.from([ 0x00 ]))
@@ -615,7 +712,1627 @@ describe('StreamBuffer', function () {
     assert.strictEqual(buffer.length, 0)
   })
 
-  // it('drops chunks at the start of the stream, when "size" exceeds "maxSize"') // already handled by above testcases
-  // it('rejects pending buffers dependent on dropped chunks') // already handled by above testcases
-  // it('destroys pending streams dependent on dropped chunks') // already handled by above testcases
+  it('coalesces small writes into bigger chunks', async function () {
+    const stream = await createTestStream({
+      coalesceSize: 10
+    })
+    const expected = Buffer.from([
+      0xED,
+      0x01, 0x23, 0x45, 0x67,
+      0x89, 0xAB, 0xCD, 0xEF,
+      0x11
+    ])
+
+    const bufferA = await stream.getBuffer(10, 3)
+    const bufferB = await stream.getBuffer(null, 0)
+
+    assert(bufferA.equals(expected))
+    assert.strictEqual(bufferB.length, 16)
+  })
+
+  it('drops coalesced chunks, when "size" exceeds "maxSize"', async function () {
+    const stream = await createTestStream({
+      coalesceSize: 8,
+      maxSize: 12
+    })
+    const expected = Buffer.from([
+      0x89, 0xAB, 0xCD, 0xEF,
+      0x11, 0x23, 0x32, 0x11
+    ])
+
+    const buffer = await stream.getBuffer(null, 8)
+
+    assert(buffer.equals(expected))
+    assert.strictEqual(stream.size(), 8)
+  })
+
+  it('finds chunks after dropping many chunks', async function () {
+    const stream = createStreamBuffer({
+      maxSize: 10
+    })
+
+    for (let i = 0; i < 5000; i++) {
+      await writePromised(stream, Buffer.from([i & 0xFF]))
+    }
+    await endPromised(stream)
+
+    const buffer = await stream.getBuffer(2, 4995)
+
+    assert(buffer.equals(Buffer.from([4995 & 0xFF, 4996 & 0xFF])))
+    assert.strictEqual(stream.size(), 10)
+  })
+
+  it('reads independently from multiple cursors', async function () {
+    const stream = await createTestStream()
+    const cursorA = stream.createCursor()
+    const cursorB = stream.createCursor(4)
+    const expectedA = Buffer.from([0xBE, 0xEF, 0xFE, 0xED])
+    const expectedB = Buffer.from([0x01, 0x23, 0x45, 0x67])
+    const expectedC = Buffer.from([0x89, 0xAB])
+
+    const bufferA = await cursorA.getBuffer(4)
+    const bufferB = await cursorB.getBuffer(4)
+    const bufferC = await cursorB.getBuffer(2)
+
+    assert(bufferA.equals(expectedA))
+    assert(bufferB.equals(expectedB))
+    assert(bufferC.equals(expectedC))
+    assert.strictEqual(cursorA.seek(), 4)
+    assert.strictEqual(cursorB.seek(), 10)
+    assert.strictEqual(stream.seek(), 0)
+  })
+
+  it('sets "seek" of cursors to "null" until the end is known', async function () {
+    const stream = await createOpenTestStream()
+    const cursor = stream.createCursor()
+
+    const testStream = cursor.getStream()
+    testStream.resume()
+
+    assert.strictEqual(cursor.seek(), null)
+    await endPromised(stream)
+
+    assert.strictEqual(cursor.seek(), 16)
+    assert.strictEqual(stream.seek(), 0)
+  })
+
+  it('retains chunks needed by readers and delays writes, when "retainPinned" is set', async function () {
+    const stream = createStreamBuffer({
+      maxSize: 4,
+      retainPinned: true
+    })
+    const expected = Buffer.from([
+      0xBE, 0xEF, 0xFE, 0xED,
+      0x01, 0x23, 0x45, 0x67
+    ])
+
+    await writePromised(stream, Buffer.from([0xBE, 0xEF, 0xFE, 0xED]))
+    const testStream = stream.getStream()
+    let written = false
+    const pWrite = writePromised(stream, Buffer.from([0x01, 0x23, 0x45, 0x67])).then(() => {
+      written = true
+    })
+
+    await new Promise(resolve => setTimeout(resolve, 10))
+    assert.isFalse(written)
+    assert.strictEqual(stream.size(), 8)
+
+    const testStreamBuffer = createStreamBuffer()
+    testStream.pipe(testStreamBuffer)
+    await pWrite
+    await endPromised(stream)
+
+    const buffer = await testStreamBuffer.getBuffer()
+
+    assert(buffer.equals(expected))
+    assert.strictEqual(stream.size(), 4)
+  })
+
+  it('retains chunks after the seek of cursors until they are closed', async function () {
+    const stream = createStreamBuffer({
+      maxSize: 4,
+      retainPinned: true
+    })
+
+    await writePromised(stream, Buffer.from([0xBE, 0xEF, 0xFE, 0xED]))
+    const cursor = stream.createCursor()
+    const pWrite = writePromised(stream, Buffer.from([0x01, 0x23, 0x45, 0x67]))
+
+    await new Promise(resolve => setTimeout(resolve, 10))
+    assert.strictEqual(stream.size(), 8)
+
+    cursor.close()
+    await pWrite
+
+    assert.strictEqual(stream.size(), 4)
+  })
+
+  it('drops the slowest reader, when a write is delayed longer than "pinTimeout"', async function () {
+    const stream = createStreamBuffer({
+      maxSize: 4,
+      pinTimeout: 10,
+      retainPinned: true
+    })
+
+    await writePromised(stream, Buffer.from([0xBE, 0xEF, 0xFE, 0xED]))
+    const testStream = stream.getStream()
+    const pError = new Promise(resolve => {
+      testStream.once('error', resolve)
+    })
+
+    await writePromised(stream, Buffer.from([0x01, 0x23, 0x45, 0x67]))
+    await pError
+
+    assert.strictEqual(stream.size(), 4)
+  })
+
+  it('iterates over data being written to it', async function () {
+    const stream = await createTestStream()
+    const expected = Buffer.from([
+      0xBE, 0xEF, 0xFE, 0xED,
+      0x01, 0x23, 0x45, 0x67,
+      0x89, 0xAB, 0xCD, 0xEF,
+      0x11, 0x23, 0x32, 0x11
+    ])
+    const chunks = []
+
+    for await (const chunk of stream) {
+      chunks.push(chunk)
+    }
+
+    assert(Buffer.concat(chunks).equals(expected))
+    assert.strictEqual(stream.seek(), 16)
+  })
+
+  it('iterates over slices in chunks of "chunkSize" and waits for new data', async function () {
+    const stream = await createOpenTestStream()
+    const chunks = []
+
+    const pIterated = (async () => {
+      for await (const chunk of stream.iterate({ offset: 14, length: 4, chunkSize: 3 })) {
+        chunks.push(chunk)
+      }
+    })()
+
+    await writePromised(stream, Buffer.from([0x55, 0x55, 0x55, 0x55]))
+    await endPromised(stream)
+    await pIterated
+
+    assert.deepEqual(chunks.map(chunk => chunk.length), [2, 2])
+    assert(Buffer.concat(chunks).equals(Buffer.from([0x32, 0x11, 0x55, 0x55])))
+  })
+
+  it('rejects iterations, when the requested offset lies in an already deleted chunk', async function () {
+    const stream = await createTestStreamWithDroppedChunk()
+    let length = 0
+    let failed = false
+
+    try {
+      for await (const chunk of stream.iterate()) {
+        length += chunk.length
+      }
+      failed = true
+    } catch (error) {
+      // noop
+    }
+
+    assert.isFalse(failed)
+    assert.strictEqual(length, 0)
+  })
+
+  it('finds patterns across chunk boundaries', async function () {
+    const stream = await createTestStream()
+
+    assert.strictEqual(await stream.indexOf(Buffer.from([0xED, 0x01, 0x23])), 3)
+    assert.strictEqual(await stream.indexOf(Buffer.from([0x67, 0x89, 0xAB, 0xCD, 0xEF, 0x11])), 7)
+    assert.strictEqual(await stream.indexOf(Buffer.from([0x23]), 6), 13)
+    assert.strictEqual(stream.seek(), 0)
+  })
+
+  it('waits for patterns and returns -1, when the stream ends', async function () {
+    const stream = await createOpenTestStream()
+
+    const pIndexA = stream.indexOf(Buffer.from([0x11, 0x55]))
+    const pIndexB = stream.indexOf(Buffer.from([0x66]))
+
+    await writePromised(stream, Buffer.from([0x55, 0x55, 0x55, 0x55]))
+    await endPromised(stream)
+
+    assert.strictEqual(await pIndexA, 15)
+    assert.strictEqual(await pIndexB, -1)
+  })
+
+  it('reads lines and moves "seek" behind them', async function () {
+    const stream = createStreamBuffer()
+
+    await writePromised(stream, Buffer.from('first\r'))
+    await writePromised(stream, Buffer.from('\nsecond\nth'))
+    await writePromised(stream, Buffer.from('ird'))
+    await endPromised(stream)
+
+    assert.strictEqual(await stream.readLine(), 'first')
+    assert.strictEqual(stream.seek(), 7)
+    assert.strictEqual(await stream.readLine(), 'second')
+    assert.strictEqual(await stream.readLine(), 'third')
+    assert.strictEqual(await stream.readLine(), null)
+  })
+
+  it('reads until a delimiter', async function () {
+    const stream = await createTestStream()
+    const expected = Buffer.from([0xBE, 0xEF, 0xFE, 0xED, 0x01])
+
+    const buffer = await stream.readUntil(Buffer.from([0x23, 0x45]))
+
+    assert(buffer.equals(expected))
+    assert.strictEqual(stream.seek(), 7)
+  })
+
+  it('rejects reads until a delimiter, when "maxLength" is exceeded', async function () {
+    const stream = await createOpenTestStream()
+    let failed = false
+
+    try {
+      await stream.readUntil(Buffer.from([0x55]), { maxLength: 8 })
+      failed = true
+    } catch (error) {
+      // noop
+    }
+
+    assert.isFalse(failed)
+    assert.strictEqual(stream.seek(), 0)
+  })
+
+  it('reads typed values within and across chunks', async function () {
+    const stream = await createTestStream()
+
+    assert.strictEqual(await stream.readUInt16LE(0), 0xEFBE)
+    assert.strictEqual(await stream.readUInt32BE(2), 0xFEED0123)
+    assert.strictEqual(await stream.readInt8(4), 0x01)
+    assert.strictEqual(await stream.readDoubleBE(4), Buffer.from([0x01, 0x23, 0x45, 0x67, 0x89, 0xAB, 0xCD, 0xEF]).readDoubleBE(0))
+    assert.strictEqual(await stream.readString(2, 'hex', 7), '6789')
+  })
+
+  it('reads typed values at "seek" and moves it', async function () {
+    const stream = await createTestStream()
+
+    stream.seek(3)
+
+    assert.strictEqual(await stream.readUInt8(), 0xED)
+    assert.strictEqual(await stream.readUInt16BE(), 0x0123)
+    assert.strictEqual(stream.seek(), 6)
+
+    if (typeof stream.readBigUInt64BE === 'function') {
+      assert.strictEqual(await stream.readBigUInt64BE(), BigInt('0x456789ABCDEF1123'))
+    }
+  })
+
+  it('waits for typed values', async function () {
+    const stream = await createOpenTestStream()
+
+    const pValue = stream.readUInt32LE(14)
+
+    await writePromised(stream, Buffer.from([0x55, 0x55, 0x55, 0x55]))
+    await endPromised(stream)
+
+    assert.strictEqual(await pValue, 0x55551132)
+  })
+
+  it('rejects typed values beyond the end of the stream', async function () {
+    const stream = await createTestStream()
+    let failed = false
+
+    try {
+      await stream.readUInt32LE(14)
+      failed = true
+    } catch (error) {
+      // noop
+    }
+
+    assert.isFalse(failed)
+  })
+
+  it('emits length-prefixed frames', async function () {
+    const stream = createStreamBuffer()
+
+    await writePromised(stream, Buffer.from([0x00, 0x02, 0xAA]))
+    await writePromised(stream, Buffer.from([0xBB, 0x00, 0x00, 0x00, 0x01]))
+    await writePromised(stream, Buffer.from([0xCC]))
+    await endPromised(stream)
+
+    const frames = await readFrames(stream.getFrameStream({ framing: 'uint16be' }))
+
+    assert.deepEqual(frames, ['aabb', '', 'cc'])
+  })
+
+  it('emits varint-framed frames and waits for new data', async function () {
+    const stream = createStreamBuffer()
+
+    await writePromised(stream, Buffer.from([0x01, 0xAA, 0x81]))
+    const pFrames = readFrames(stream.getFrameStream({ framing: 'varint' }))
+    await writePromised(stream, Buffer.concat([Buffer.from([0x01]), Buffer.alloc(129, 0xBB)]))
+    await endPromised(stream)
+
+    const frames = await pFrames
+
+    assert.deepEqual(frames, ['aa', Buffer.alloc(129, 0xBB).toString('hex')])
+  })
+
+  it('emits delimiter-framed frames', async function () {
+    const stream = await createTestStream()
+
+    const frames = await readFrames(stream.getFrameStream({
+      framing: 'delimiter',
+      delimiter: Buffer.from([0x11]),
+      offset: 4
+    }))
+
+    assert.deepEqual(frames, ['0123456789abcdef', '2332'])
+  })
+
+  it('destroys frame-streams on truncated frames', async function () {
+    const stream = await createTestStream()
+    let failed = false
+
+    try {
+      await readFrames(stream.getFrameStream({ framing: 'uint8', offset: 3 }))
+      failed = true
+    } catch (error) {
+      assert.strictEqual(error.message, 'truncated frame!')
+    }
+
+    assert.isFalse(failed)
+  })
+
+  it('destroys frame-streams on varints beyond safe integers', async function () {
+    const stream = createStreamBuffer()
+    await writePromised(stream, Buffer.from([0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x7F]))
+    await endPromised(stream)
+    let failed = false
+
+    try {
+      await readFrames(stream.getFrameStream({ framing: 'varint', offset: 0 }))
+      failed = true
+    } catch (error) {
+      assert.strictEqual(error.message, 'invalid varint!')
+    }
+
+    assert.isFalse(failed)
+  })
+
+  it('destroys frame-streams, when frames exceed "maxFrameSize"', async function () {
+    const stream = await createTestStream()
+    let failed = false
+
+    try {
+      await readFrames(stream.getFrameStream({ framing: 'uint8', offset: 4, maxFrameSize: 4 }))
+      failed = true
+    } catch (error) {
+      assert.strictEqual(error.message, 'maxFrameSize exceeded!')
+    }
+
+    assert.isFalse(failed)
+  })
+
+  it('drops chunks older than "maxAge" and emits "resize"-event', async function () {
+    const stream = createStreamBuffer({
+      maxAge: 20
+    })
+
+    await writePromised(stream, Buffer.from([0xBE, 0xEF, 0xFE, 0xED]))
+    await new Promise(resolve => setTimeout(resolve, 10))
+    await writePromised(stream, Buffer.from([0x01, 0x23, 0x45, 0x67]))
+
+    const eventA = await new Promise(resolve => stream.once('resize', resolve))
+    const eventB = await new Promise(resolve => stream.once('resize', resolve))
+
+    assert.deepEqual(eventA, { size: 4, oldSize: 8 })
+    assert.deepEqual(eventB, { size: 0, oldSize: 4 })
+  })
+
+  it('replays data, which arrived after a point in time', async function () {
+    const stream = createStreamBuffer()
+    const expected = Buffer.from([0x01, 0x23, 0x45, 0x67])
+
+    await writePromised(stream, Buffer.from([0xBE, 0xEF, 0xFE, 0xED]))
+    await new Promise(resolve => setTimeout(resolve, 10))
+    const since = new Date()
+    await writePromised(stream, Buffer.from([0x01, 0x23, 0x45, 0x67]))
+    await endPromised(stream)
+
+    const testStream = stream.getStream({ since })
+    const testStreamBuffer = createStreamBuffer()
+    testStream.pipe(testStreamBuffer)
+
+    const buffer = await testStreamBuffer.getBuffer()
+
+    assert.strictEqual(stream.offsetAt(since), 4)
+    assert.strictEqual(stream.offsetAt(Date.now() + 1000), 8)
+    assert(buffer.equals(expected))
+  })
+
+  it('rejects pending buffers, when aborted', async function () {
+    const stream = await createOpenTestStream()
+    const controller = createAbortController()
+    let failed = false
+
+    const pBuffer = stream.getBuffer(20, 0, { signal: controller.signal })
+    controller.abort()
+
+    try {
+      await pBuffer
+      failed = true
+    } catch (error) {
+      assert.strictEqual(error.name, 'AbortError')
+    }
+
+    assert.isFalse(failed)
+    assert.strictEqual(controller.listeners.size, 0)
+  })
+
+  it('rejects buffers, when already aborted', async function () {
+    const stream = await createTestStream()
+    const controller = createAbortController()
+    let failed = false
+
+    controller.abort()
+
+    try {
+      await stream.readUInt8(0, { signal: controller.signal })
+      failed = true
+    } catch (error) {
+      assert.strictEqual(error.name, 'AbortError')
+    }
+
+    assert.isFalse(failed)
+  })
+
+  it('removes abort-listeners of finished reads', async function () {
+    const stream = await createTestStream()
+    const controller = createAbortController()
+
+    await stream.getBuffer(4, 0, { signal: controller.signal })
+    await stream.indexOf(Buffer.from([0x11]), 0, { signal: controller.signal })
+
+    assert.strictEqual(controller.listeners.size, 0)
+  })
+
+  it('rejects pending buffers after "timeout"', async function () {
+    const stream = await createOpenTestStream()
+    let failed = false
+
+    try {
+      await stream.readLine({ timeout: 10 })
+      failed = true
+    } catch (error) {
+      assert.strictEqual(error.name, 'TimeoutError')
+    }
+
+    assert.isFalse(failed)
+  })
+
+  it('destroys pending streams, when aborted', async function () {
+    const stream = await createOpenTestStream()
+    const controller = createAbortController()
+    const testStream = stream.getStream(null, 0, { signal: controller.signal })
+    testStream.resume()
+
+    const pError = new Promise(resolve => {
+      testStream.once('error', resolve)
+    })
+
+    await new Promise(resolve => setTimeout(resolve, 10))
+    controller.abort()
+
+    assert.strictEqual((await pError).name, 'AbortError')
+    assert.strictEqual(controller.listeners.size, 0)
+  })
+
+  it('stops pending iterations after "timeout"', async function () {
+    const stream = await createOpenTestStream()
+    const chunks = []
+    let failed = false
+
+    try {
+      for await (const chunk of stream.iterate({ timeout: 10 })) {
+        chunks.push(chunk)
+      }
+      failed = true
+    } catch (error) {
+      assert.strictEqual(error.name, 'TimeoutError')
+    }
+
+    assert.isFalse(failed)
+    assert.strictEqual(Buffer.concat(chunks).length, 16)
+  })
+
+  it('releases the signal of iterations, which never start', async function () {
+    const stream = await createTestStream()
+    const controller = createAbortController()
+
+    stream.iterate({ offset: 0, signal: controller.signal })
+    await stream.iterate({ offset: 0, signal: controller.signal }).return()
+
+    assert.strictEqual(controller.listeners.size, 0)
+  })
+
+  it('stops pending iterations, when aborted', async function () {
+    const stream = await createOpenTestStream()
+    const controller = createAbortController()
+    let length = 0
+    let failed = false
+
+    try {
+      for await (const chunk of stream.iterate({ signal: controller.signal })) {
+        length += chunk.length
+        setTimeout(() => controller.abort(), 10)
+      }
+      failed = true
+    } catch (error) {
+      assert.strictEqual(error.name, 'AbortError')
+    }
+
+    assert.isFalse(failed)
+    assert.strictEqual(length, 16)
+    assert.strictEqual(controller.listeners.size, 0)
+  })
+
+  it('replays data as WHATWG ReadableStream', async function () {
+    if (!supportsWebStreams()) {
+      this.skip()
+    }
+
+    const stream = await createTestStream()
+
+    assert.strictEqual((await readWebStream(stream.getReadableStream(8, 4))).toString('hex'), '0123456789abcdef')
+    assert.strictEqual((await readWebStream(stream.getReadableStream())).toString('hex'), '11233211')
+  })
+
+  it('waits for data of WHATWG ReadableStreams', async function () {
+    if (!supportsWebStreams()) {
+      this.skip()
+    }
+
+    const stream = await createOpenTestStream()
+    const promise = readWebStream(stream.getReadableStream(null, 12))
+
+    await writePromised(stream, Buffer.from([0x22]))
+    await endPromised(stream)
+
+    assert.strictEqual((await promise).toString('hex'), '1123321122')
+  })
+
+  it('reads into the buffers of BYOB-readers', async function () {
+    if (!supportsWebStreams()) {
+      this.skip()
+    }
+
+    const stream = await createTestStream()
+    const reader = stream.getReadableStream(6, 2).getReader({ mode: 'byob' })
+
+    const first = await reader.read(new Uint8Array(8))
+    assert.strictEqual(Buffer.from(first.value).toString('hex'), 'feed')
+
+    const second = await reader.read(new Uint8Array(3))
+    assert.strictEqual(Buffer.from(second.value).toString('hex'), '012345')
+
+    const third = await reader.read(new Uint8Array(8))
+    assert.strictEqual(Buffer.from(third.value).toString('hex'), '67')
+
+    assert.isTrue((await reader.read(new Uint8Array(8))).done)
+  })
+
+  it('reads to the end with BYOB-readers', async function () {
+    if (!supportsWebStreams()) {
+      this.skip()
+    }
+
+    const stream = await createTestStream()
+    const reader = stream.getReadableStream(null, 10).getReader({ mode: 'byob' })
+    const chunks = []
+
+    for (;;) {
+      const { done, value } = await reader.read(new Uint8Array(4))
+
+      if (done) {
+        break
+      }
+
+      chunks.push(Buffer.from(value).toString('hex'))
+    }
+
+    assert.deepEqual(chunks, ['cdef', '11233211'])
+  })
+
+  it('errors WHATWG ReadableStreams dependent on dropped chunks', async function () {
+    if (!supportsWebStreams()) {
+      this.skip()
+    }
+
+    const stream = await createTestStreamWithDroppedChunk()
+    let failed = false
+
+    try {
+      await readWebStream(stream.getReadableStream(null, 0))
+      failed = true
+    } catch (error) {
+      assert.strictEqual(error.message, 'chunk gone!')
+    }
+
+    assert.isFalse(failed)
+  })
+
+  it('accepts data written to its WHATWG WritableStream', async function () {
+    if (!supportsWebStreams()) {
+      this.skip()
+    }
+
+    const stream = createStreamBuffer()
+    const writer = stream.getWritableStream().getWriter()
+
+    await writer.write(new Uint8Array([0xBE, 0xEF]))
+    await writer.write(Buffer.from([0xFE, 0xED]))
+    await writer.close()
+
+    assert.strictEqual(stream.size(), 4)
+    assert.strictEqual((await stream.getBuffer(null, 0)).toString('hex'), 'beeffeed')
+  })
+
+  it('serves finished buffers via HTTP', async function () {
+    const stream = await createTestStream()
+    const res = await requestHttp(stream, {}, { contentType: 'video/mp4' })
+
+    assert.strictEqual(res.status, 200)
+    assert.strictEqual(res.headers['content-type'], 'video/mp4')
+    assert.strictEqual(res.headers['content-length'], '16')
+    assert.strictEqual(res.headers['accept-ranges'], 'bytes')
+    assert.strictEqual(res.body.toString('hex'), 'beeffeed0123456789abcdef11233211')
+  })
+
+  it('serves HTTP-ranges', async function () {
+    const stream = await createTestStream()
+
+    const res = await requestHttp(stream, { Range: 'bytes=4-11' })
+    assert.strictEqual(res.status, 206)
+    assert.strictEqual(res.headers['content-range'], 'bytes 4-11/16')
+    assert.strictEqual(res.body.toString('hex'), '0123456789abcdef')
+
+    const suffix = await requestHttp(stream, { Range: 'bytes=-2' })
+    assert.strictEqual(suffix.headers['content-range'], 'bytes 14-15/16')
+    assert.strictEqual(suffix.body.toString('hex'), '3211')
+
+    const unsatisfiable = await requestHttp(stream, { Range: 'bytes=16-' })
+    assert.strictEqual(unsatisfiable.status, 416)
+    assert.strictEqual(unsatisfiable.headers['content-range'], 'bytes */16')
+  })
+
+  it('serves multiple HTTP-ranges as multipart/byteranges', async function () {
+    const stream = await createTestStream()
+    const res = await requestHttp(stream, { Range: 'bytes=0-1, 14-' })
+    const boundary = /boundary=(\w+)/.exec(res.headers['content-type'])[1]
+
+    assert.strictEqual(res.status, 206)
+    assert.strictEqual(res.headers['content-length'], String(res.body.length))
+    assert.strictEqual(res.body.toString('latin1'), [
+      `--${boundary}\r\nContent-Type: application/octet-stream\r\nContent-Range: bytes 0-1/16\r\n\r\n\xbe\xef`,
+      `\r\n--${boundary}\r\nContent-Type: application/octet-stream\r\nContent-Range: bytes 14-15/16\r\n\r\n\x32\x11`,
+      `\r\n--${boundary}--\r\n`
+    ].join(''))
+  })
+
+  it('ignores HTTP-ranges, when "If-Range" does not match', async function () {
+    const stream = await createTestStream()
+    const { headers } = await requestHttp(stream, {})
+
+    const matching = await requestHttp(stream, { Range: 'bytes=4-7', 'If-Range': headers.etag })
+    assert.strictEqual(matching.status, 206)
+
+    const outdated = await requestHttp(stream, { Range: 'bytes=4-7', 'If-Range': '"outdated"' })
+    assert.strictEqual(outdated.status, 200)
+    assert.strictEqual(outdated.body.length, 16)
+  })
+
+  it('serves growing buffers and their open HTTP-ranges chunked', async function () {
+    const stream = await createOpenTestStream()
+    const pRange = requestHttp(stream, { Range: 'bytes=12-' })
+    const pAhead = requestHttp(stream, { Range: 'bytes=16-' })
+    const pFull = requestHttp(stream, {})
+
+    setTimeout(() => {
+      stream.end(Buffer.from([0x22]))
+    }, 10)
+
+    const range = await pRange
+    assert.strictEqual(range.status, 206)
+    assert.strictEqual(range.headers['transfer-encoding'], 'chunked')
+    assert.isUndefined(range.headers['content-length'])
+    assert.strictEqual(range.headers['content-range'], 'bytes 12-*/*')
+    assert.strictEqual(range.body.toString('hex'), '1123321122')
+
+    const ahead = await pAhead
+    assert.strictEqual(ahead.status, 206)
+    assert.strictEqual(ahead.body.toString('hex'), '22')
+
+    const full = await pFull
+    assert.strictEqual(full.status, 200)
+    assert.strictEqual(full.headers['transfer-encoding'], 'chunked')
+    assert.strictEqual(full.body.toString('hex'), 'beeffeed0123456789abcdef1123321122')
+  })
+
+  it('rejects HTTP-ranges of dropped chunks', async function () {
+    const stream = await createTestStreamWithDroppedChunk()
+
+    const res = await requestHttp(stream, { Range: 'bytes=0-7' })
+    assert.strictEqual(res.status, 416)
+    assert.strictEqual(res.headers['content-range'], 'bytes */16')
+
+    const retained = await requestHttp(stream, {})
+    assert.strictEqual(retained.status, 200)
+    assert.isUndefined(retained.headers['content-range'])
+    assert.strictEqual(retained.headers['x-content-offset'], '4')
+    assert.strictEqual(retained.body.toString('hex'), '0123456789abcdef11233211')
+
+    const outdated = await requestHttp(stream, { Range: 'bytes=8-11', 'If-Range': '"outdated"' })
+    assert.strictEqual(outdated.status, 200)
+    assert.strictEqual(outdated.headers['x-content-offset'], '4')
+    assert.strictEqual(outdated.body.length, 12)
+  })
+
+  it('restores snapshots with the same offsets, seek and end', async function () {
+    const stream = await createTestStreamWithDroppedChunk()
+    const path = `${os.tmpdir()}/streambuffer17-test-${process.pid}.snapshot`
+    stream.seek(6)
+
+    await stream.saveSnapshot(path)
+
+    try {
+      const restored = await StreamBuffer.fromSnapshot(path, { store: createChunkStore ? createChunkStore() : undefined })
+
+      assert.strictEqual(restored.size(), 12)
+      assert.strictEqual(restored.seek(), 6)
+      assert.strictEqual((await restored.getBuffer()).toString('hex'), '456789abcdef11233211')
+      assert.strictEqual((await restored.getBuffer(2, 4)).toString('hex'), '0123')
+
+      let failed = false
+
+      try {
+        await restored.getBuffer(4, 0)
+        failed = true
+      } catch (error) {
+        assert.strictEqual(error.message, 'chunk gone!')
+      }
+
+      assert.isFalse(failed)
+    } finally {
+      fs.unlinkSync(path)
+    }
+  })
+
+  it('restores snapshots of open streams', async function () {
+    const stream = await createOpenTestStream()
+    const path = `${os.tmpdir()}/streambuffer17-test-${process.pid}.snapshot`
+
+    await stream.saveSnapshot(path)
+
+    try {
+      const restored = await StreamBuffer.fromSnapshot(path)
+      const promise = restored.getBuffer(null, 12)
+
+      await writePromised(restored, Buffer.from([0x22]))
+      await endPromised(restored)
+
+      assert.strictEqual((await promise).toString('hex'), '1123321122')
+    } finally {
+      fs.unlinkSync(path)
+    }
+  })
+
+  it('restores the digest only from snapshots containing the start of the stream', async function () {
+    const path = `${os.tmpdir()}/streambuffer17-test-${process.pid}.snapshot`
+    const stream = await createTestStream()
+    const expected = crypto.createHash('sha256').update(await stream.getBuffer(null, 0)).digest('hex')
+
+    await stream.saveSnapshot(path)
+
+    try {
+      const restored = await StreamBuffer.fromSnapshot(path, { hash: 'sha256' })
+      assert.strictEqual(restored.digest('hex'), expected)
+
+      await (await createTestStreamWithDroppedChunk()).saveSnapshot(path)
+      await StreamBuffer.fromSnapshot(path, { hash: 'sha256' })
+      assert.fail('no error')
+    } catch (error) {
+      assert.strictEqual(error.message, 'hash needs the start of the stream!')
+    } finally {
+      fs.unlinkSync(path)
+    }
+  })
+
+  it('rejects invalid snapshots', async function () {
+    const path = `${os.tmpdir()}/streambuffer17-test-${process.pid}.snapshot`
+    fs.writeFileSync(path, 'not a snapshot')
+    let failed = false
+
+    try {
+      await StreamBuffer.fromSnapshot(path)
+      failed = true
+    } catch (error) {
+      assert.strictEqual(error.message, 'invalid snapshot!')
+    } finally {
+      fs.unlinkSync(path)
+    }
+
+    assert.isFalse(failed)
+  })
+
+  it('emits "evict"-event containing start, end and chunk', async function () {
+    const stream = createStreamBuffer({ maxSize: 8 })
+    const evicted = []
+
+    stream.on('evict', ({ start, end, chunk }) => {
+      evicted.push([start, end, chunk.toString('hex')])
+    })
+
+    await writePromised(stream, Buffer.from([0xBE, 0xEF, 0xFE, 0xED]))
+    await writePromised(stream, Buffer.from([0x01, 0x23, 0x45, 0x67]))
+    await writePromised(stream, Buffer.from([0x89, 0xAB]))
+    await writePromised(stream, Buffer.from([0xCD, 0xEF, 0x11, 0x23]))
+
+    assert.deepEqual(evicted, [[0, 4, 'beeffeed'], [4, 8, '01234567']])
+  })
+
+  it('archives evicted chunks to "evictTo" with backpressure', async function () {
+    const archived = []
+    const evictTo = new Writable({
+      highWaterMark: 1,
+      write (chunk, encoding, callback) {
+        setTimeout(() => {
+          archived.push(chunk.toString('hex'))
+          callback()
+        }, 10)
+      }
+    })
+    const stream = await createTestStream({ maxSize: 4, evictTo })
+
+    // the writes had to wait for the archive to drain
+    assert.deepEqual(archived, ['beeffeed', '01234567', '89abcdef'])
+    assert.strictEqual((await stream.getBuffer(null, 12)).toString('hex'), '11233211')
+  })
+
+  it('reads from views relative to their start', async function () {
+    const stream = await createTestStream()
+    const view = stream.view(4, 8)
+
+    assert.strictEqual(view.size(), 8)
+    assert.strictEqual((await view.getBuffer(2)).toString('hex'), '0123')
+    assert.strictEqual(view.seek(), 2)
+    assert.strictEqual((await view.getBuffer()).toString('hex'), '456789abcdef')
+    assert.strictEqual((await view.getBuffer(null, 6)).toString('hex'), 'cdef')
+
+    let failed = false
+
+    try {
+      await view.getBuffer(4, 6)
+      failed = true
+    } catch (error) {
+      assert.strictEqual(error.message, 'chunk-offset out of bounds!')
+    }
+
+    assert.isFalse(failed)
+  })
+
+  it('ends views, when the StreamBuffer reaches their end', async function () {
+    const stream = await createOpenTestStream()
+    const view = stream.view(12, 6)
+    const newStreamBuffer = createStreamBuffer()
+
+    view.getStream().pipe(newStreamBuffer)
+
+    await writePromised(stream, Buffer.from([0x22, 0x33, 0x44]))
+
+    assert.strictEqual((await newStreamBuffer.getBuffer()).toString('hex'), '112332112233')
+    assert.strictEqual(view.seek(), 6)
+  })
+
+  it('ends views, when the StreamBuffer ends before their end', async function () {
+    const stream = await createTestStream()
+    const view = stream.view(6, 100)
+
+    assert.strictEqual((await view.getBuffer()).toString('hex'), '456789abcdef11233211')
+    assert.strictEqual(view.seek(), 10)
+    assert.strictEqual((await view.getBuffer(null, 8)).toString('hex'), '3211')
+  })
+
+  it('keeps a running digest including evicted chunks', async function () {
+    const stream = await createOpenTestStream({ maxSize: 8, hash: 'sha256' })
+    const expected = crypto.createHash('sha256').update(Buffer.from('beeffeed0123456789abcdef11233211', 'hex')).digest('hex')
+
+    assert.throws(() => stream.digest(), 'stream not ended!')
+
+    await endPromised(stream)
+
+    assert.strictEqual(stream.size(), 8)
+    assert.strictEqual(stream.digest('hex'), expected)
+    assert.strictEqual(stream.digest('hex'), expected)
+  })
+
+  it('hashes retained ranges', async function () {
+    const stream = await createTestStream()
+    const expected = crypto.createHash('md5').update(Buffer.from('ed0123456789ab', 'hex')).digest('hex')
+
+    assert.strictEqual((await stream.hashRange('md5', 7, 3)).toString('hex'), expected)
+    assert.strictEqual(stream.seek(), 10)
+  })
+
+  it('releases data before an offset', async function () {
+    const stream = await createTestStream()
+    const testStream = stream.getStream(null, 0)
+    const pError = new Promise(resolve => {
+      testStream.once('error', resolve)
+    })
+
+    await stream.release(10)
+    testStream.resume()
+
+    assert.strictEqual(stream.startOffset(), 10)
+    assert.strictEqual(stream.size(), 6)
+    assert.strictEqual((await stream.getBuffer(null, 10)).toString('hex'), 'cdef11233211')
+    assert.strictEqual((await pError).message, 'chunk gone!')
+  })
+
+  it('releases the start of a single large chunk', async function () {
+    const stream = createStreamBuffer()
+    const evicted = []
+
+    stream.on('evict', ({ start, end }) => evicted.push([start, end]))
+
+    await writePromised(stream, Buffer.alloc(100, 0x55))
+    await stream.release(50)
+
+    assert.strictEqual(stream.startOffset(), 50)
+    assert.strictEqual(stream.size(), 50)
+    assert.deepEqual(evicted, [[0, 50]])
+    assert.strictEqual((await stream.getBuffer(50, 50)).length, 50)
+
+    try {
+      await stream.getBuffer(1, 49)
+      assert.fail('no error')
+    } catch (error) {
+      assert.instanceOf(error, StreamBuffer.ChunkEvictedError)
+    }
+
+    await writePromised(stream, Buffer.from([0x22]))
+    await endPromised(stream)
+
+    assert.strictEqual((await stream.getBuffer(2, 99)).toString('hex'), '5522')
+  })
+
+  it('clears all chunks and keeps offsets', async function () {
+    const stream = await createOpenTestStream()
+
+    await stream.clear()
+
+    assert.strictEqual(stream.size(), 0)
+    assert.strictEqual(stream.startOffset(), 16)
+
+    await writePromised(stream, Buffer.from([0x22, 0x33]))
+
+    assert.strictEqual((await stream.getBuffer(2, 16)).toString('hex'), '2233')
+  })
+
+  it('reports runtime statistics', async function () {
+    const stream = await createOpenTestStream({ maxSize: 8 })
+    const testStream = stream.getStream(null, 12)
+    const pending = stream.getBuffer(4, 16)
+
+    await new Promise(resolve => setTimeout(resolve, 10))
+
+    assert.deepEqual(stream.stats(), {
+      bytesWritten: 16,
+      bytesEvicted: 8,
+      start: 8,
+      end: 16,
+      size: 8,
+      peakSize: 8,
+      chunks: 2,
+      readers: 1,
+      pendingReads: 1,
+      readerLag: [4]
+    })
+
+    testStream.destroy()
+    await endPromised(stream)
+    await pending.catch(() => {})
+
+    assert.strictEqual(stream.stats().readers, 0)
+    assert.strictEqual(stream.stats().pendingReads, 0)
+  })
+
+  it('publishes appends, evictions and reads to diagnostics_channel', async function () {
+    let diagnosticsChannel
+
+    try {
+      diagnosticsChannel = require('diagnostics_channel')
+    } catch (error) {
+      this.skip()
+    }
+
+    const messages = []
+    const subscribers = {}
+
+    for (const name of ['append', 'evict', 'read']) {
+      subscribers[name] = message => messages.push([name, message.start, message.end])
+      diagnosticsChannel.channel(`streambuffer17:${name}`).subscribe(subscribers[name])
+    }
+
+    try {
+      const stream = createStreamBuffer({ maxSize: 4 })
+
+      await writePromised(stream, Buffer.from([0xBE, 0xEF, 0xFE, 0xED]))
+      await writePromised(stream, Buffer.from([0x01, 0x23]))
+      await stream.getBuffer(2, 4)
+    } finally {
+      for (const name of Object.keys(subscribers)) {
+        diagnosticsChannel.channel(`streambuffer17:${name}`).unsubscribe(subscribers[name])
+      }
+    }
+
+    assert.deepEqual(messages, [['append', 0, 4], ['append', 4, 6], ['evict', 0, 4], ['read', 4, 6]])
+  })
+
+  it('tracks active readers and emits "reader"- and "readerClose"-events', async function () {
+    const stream = await createOpenTestStream()
+    const events = []
+
+    stream.on('reader', () => events.push('reader'))
+    stream.on('readerClose', () => events.push('readerClose'))
+
+    const testStream = stream.getStream(8, 4)
+    const frameStream = stream.getFrameStream({ framing: 'uint8', offset: 0 })
+
+    assert.deepEqual(stream.readers().map(({ offset, end }) => [offset, end]), [[4, 12], [0, Infinity]])
+
+    const newStreamBuffer = createStreamBuffer()
+    testStream.pipe(newStreamBuffer)
+    await newStreamBuffer.getBuffer()
+    frameStream.destroy()
+
+    assert.strictEqual(stream.readers().length, 0)
+    assert.deepEqual(events, ['reader', 'reader', 'readerClose', 'readerClose'])
+  })
+
+  it('closes all active readers', async function () {
+    const stream = await createOpenTestStream()
+    const testStream = stream.getStream(null, 0)
+    const pError = new Promise(resolve => {
+      testStream.once('error', resolve)
+    })
+
+    stream.closeReaders(new Error('recording finalized'))
+
+    assert.strictEqual((await pError).message, 'recording finalized')
+    assert.strictEqual(stream.readers().length, 0)
+  })
+
+  it('rejects new streams, when "maxReaders" is reached', async function () {
+    const stream = await createTestStream({ maxReaders: 1 })
+    const testStream = stream.getStream(null, 0)
+    const view = stream.view(4)
+
+    stream.seek(2)
+    view.seek(2)
+
+    assert.throws(() => stream.getStream(4), 'maxReaders exceeded!')
+    assert.throws(() => view.getStream(4), 'maxReaders exceeded!')
+    assert.strictEqual(stream.seek(), 2)
+    assert.strictEqual(view.seek(), 2)
+
+    testStream.destroy()
+    stream.getStream(null, 0).destroy()
+  })
+
+  it('skips evicted data of streams and emits "gap"-events, when "onGap" is "skip"', async function () {
+    const stream = await createTestStreamWithDroppedChunk()
+    const testStream = stream.getStream(null, 0, { onGap: 'skip' })
+    const gaps = []
+
+    testStream.on('gap', ({ start, end }) => gaps.push([start, end]))
+
+    const newStreamBuffer = createStreamBuffer()
+    testStream.pipe(newStreamBuffer)
+    const buffer = await newStreamBuffer.getBuffer()
+
+    assert.deepEqual(gaps, [[0, 4]])
+    assert.strictEqual(buffer.toString('hex'), '0123456789abcdef11233211')
+  })
+
+  it('skips to the live edge, when "onGap" is "skipToLive"', async function () {
+    const stream = createStreamBuffer({ maxSize: 4 })
+
+    await writePromised(stream, Buffer.from([0xBE, 0xEF, 0xFE, 0xED]))
+    await writePromised(stream, Buffer.from([0x01, 0x23, 0x45, 0x67]))
+
+    const testStream = stream.getStream(null, 0, { onGap: 'skipToLive' })
+    const gaps = []
+
+    testStream.on('gap', ({ start, end }) => gaps.push([start, end]))
+
+    const newStreamBuffer = createStreamBuffer()
+    testStream.pipe(newStreamBuffer)
+    await new Promise(resolve => setImmediate(resolve))
+
+    await writePromised(stream, Buffer.from([0x89, 0xAB]))
+    await endPromised(stream)
+    const buffer = await newStreamBuffer.getBuffer()
+
+    assert.deepEqual(gaps, [[0, 8]])
+    assert.strictEqual(buffer.toString('hex'), '89ab')
+  })
+
+  it('reports the actual offset of buffers, when "onGap" skips evicted data', async function () {
+    const stream = await createTestStreamWithDroppedChunk()
+    const buffer = await stream.getBuffer(4, 0, { onGap: 'skip' })
+
+    assert.strictEqual(buffer.streamOffset, 4)
+    assert.strictEqual(buffer.toString('hex'), '01234567')
+    assert.strictEqual(stream.seek(), 8)
+  })
+
+  it('rejects unknown "onGap"-policies', async function () {
+    const stream = await createTestStream()
+
+    assert.throws(() => stream.getStream(null, 0, { onGap: 'ignore' }), 'unknown onGap!')
+
+    try {
+      await stream.getBuffer(null, 0, { onGap: 'ignore' })
+      assert.fail('no error')
+    } catch (error) {
+      assert.strictEqual(error.message, 'unknown onGap!')
+    }
+  })
+
+  it('returns the readable range', async function () {
+    const stream = await createOpenTestStream({ maxSize: 12 })
+
+    assert.deepEqual(stream.range(), { start: 4, end: 16, ended: false })
+
+    await endPromised(stream)
+
+    assert.deepEqual(stream.range(), { start: 4, end: 16, ended: true })
+  })
+
+  it('rejects reads of evicted data with a "ChunkEvictedError"', async function () {
+    const stream = await createTestStreamWithDroppedChunk()
+
+    try {
+      await stream.getBuffer(4, 0)
+      assert.fail('no error')
+    } catch (error) {
+      assert.instanceOf(error, StreamBuffer.ChunkEvictedError)
+      assert.instanceOf(error, StreamBuffer.StreamBufferError)
+      assert.strictEqual(error.code, 'ERR_CHUNK_EVICTED')
+      assert.strictEqual(error.offset, 0)
+      assert.strictEqual(error.length, 4)
+      assert.deepEqual(error.range, { start: 4, end: 16, ended: true })
+    }
+  })
+
+  it('destroys streams with errors carrying the requested offset and length', async function () {
+    const stream = await createTestStreamWithDroppedChunk()
+    const testStream = stream.getStream(6, 2)
+    const pError = new Promise(resolve => {
+      testStream.once('error', resolve)
+    })
+
+    testStream.resume()
+    const error = await pError
+
+    assert.instanceOf(error, StreamBuffer.ChunkEvictedError)
+    assert.strictEqual(error.offset, 2)
+    assert.strictEqual(error.length, 6)
+  })
+
+  it('rejects reads beyond the end with an "OutOfBoundsError"', async function () {
+    const stream = await createTestStream()
+
+    try {
+      await stream.getBuffer(8, 12)
+      assert.fail('no error')
+    } catch (error) {
+      assert.instanceOf(error, StreamBuffer.OutOfBoundsError)
+      assert.strictEqual(error.code, 'ERR_OUT_OF_BOUNDS')
+      assert.strictEqual(error.offset, 12)
+      assert.strictEqual(error.length, 8)
+      assert.deepEqual(error.range, { start: 0, end: 16, ended: true })
+    }
+  })
+
+  it('rejects buffers bigger then "maxBufferSize" with a "MaxBufferSizeError"', async function () {
+    const stream = await createTestStream({ maxBufferSize: 6 })
+
+    try {
+      await stream.getBuffer(8, 0)
+      assert.fail('no error')
+    } catch (error) {
+      assert.instanceOf(error, StreamBuffer.MaxBufferSizeError)
+      assert.strictEqual(error.code, 'ERR_MAX_BUFFER_SIZE')
+      assert.strictEqual(error.offset, 0)
+      assert.strictEqual(error.length, 8)
+    }
+  })
+
+  it('rejects reads of destroyed buffers with a "BufferDestroyedError"', async function () {
+    const stream = await createOpenTestStream()
+    stream.once('error', () => {})
+    stream.destroy()
+
+    try {
+      await stream.getBuffer()
+      assert.fail('no error')
+    } catch (error) {
+      assert.instanceOf(error, StreamBuffer.BufferDestroyedError)
+      assert.strictEqual(error.code, 'ERR_BUFFER_DESTROYED')
+      assert.strictEqual(error.message, 'Stream destroyed!')
+    }
+  })
+
+  it('emits "mark"-events and lists marks ordered by offset', async function () {
+    const stream = await createOpenTestStream()
+    const events = []
+
+    stream.on('mark', ({ name, offset }) => events.push([name, offset]))
+
+    stream.mark('req-2', 8)
+    stream.mark('req-1', 4)
+    stream.mark('live')
+
+    assert.deepEqual(events, [['req-2', 8], ['req-1', 4], ['live', 16]])
+    assert.deepEqual(stream.marks(), [
+      { name: 'req-1', offset: 4 },
+      { name: 'req-2', offset: 8 },
+      { name: 'live', offset: 16 }
+    ])
+  })
+
+  it('replays the range between two marks as stream', async function () {
+    const stream = await createOpenTestStream()
+
+    stream.mark('req-17', 4)
+    stream.mark('req-18', 12)
+
+    const testStream = stream.getStream({ from: 'req-17', to: 'req-18' })
+    const newStreamBuffer = createStreamBuffer()
+    testStream.pipe(newStreamBuffer)
+    const buffer = await newStreamBuffer.getBuffer()
+
+    assert.strictEqual(buffer.toString('hex'), '0123456789abcdef')
+    assert.throws(() => stream.getStream({ from: 'req-18', to: 'req-17' }), 'invalid mark-range!')
+  })
+
+  it('drops marks together with their chunks', async function () {
+    const stream = createStreamBuffer({ maxSize: 8 })
+
+    stream.mark('keyframe-1')
+    await writePromised(stream, Buffer.from([0xBE, 0xEF, 0xFE, 0xED]))
+    stream.mark('keyframe-2')
+    await writePromised(stream, Buffer.from([0x01, 0x23, 0x45, 0x67]))
+    await writePromised(stream, Buffer.from([0x89, 0xAB, 0xCD, 0xEF]))
+
+    assert.deepEqual(stream.marks(), [{ name: 'keyframe-2', offset: 4 }])
+    assert.throws(() => stream.getStream({ from: 'keyframe-1' }), 'unknown mark!')
+    assert.throws(() => stream.mark('keyframe-0', 0), 'chunk gone!')
+    assert.throws(() => stream.mark('keyframe-4', 13), 'chunk-offset out of bounds!')
+  })
+
+  // it('drops chunks at the start of the stream, when "size" exceeds "maxSize"') // already handled by above testcases
+  // it('rejects pending buffers dependent on dropped chunks') // already handled by above testcases
+  // it('destroys pending streams dependent on dropped chunks') // already handled by above testcases
+}
+
+for (const [name, create] of Object.entries(chunkStores)) {
+  describe(`StreamBuffer (${name})`, function () {
+    before(async function () {
+      createChunkStore = create
+    })
+
+    testStreamBuffer()
+  })
+}
+
+describe('StreamBuffer (spill-file)', function () {
+  before(async function () {
+    createChunkStore = null
+  })
+
+  it('replays chunks moved to the spill-file as buffer', async function () {
+    const stream = await createTestStream({
+      memoryLimit: 4
+    })
+    const expected = Buffer.from([
+      0xED,
+      0x01, 0x23, 0x45, 0x67,
+      0x89, 0xAB, 0xCD, 0xEF,
+      0x11
+    ])
+
+    const buffer = await stream.getBuffer(10, 3)
+
+    assert(buffer.equals(expected))
+    assert.strictEqual(stream.size(), 16)
+  })
+
+  it('replays chunks moved to the spill-file as stream', async function () {
+    const stream = await createTestStream({
+      memoryLimit: 4
+    })
+    const expected = Buffer.from([
+      0xBE, 0xEF, 0xFE, 0xED,
+      0x01, 0x23, 0x45, 0x67,
+      0x89, 0xAB, 0xCD, 0xEF,
+      0x11, 0x23, 0x32, 0x11
+    ])
+
+    const newStream = stream.getStream()
+    const newStreamBuffer = createStreamBuffer()
+
+    newStream.pipe(newStreamBuffer)
+
+    const buffer = await newStreamBuffer.getBuffer()
+
+    assert(buffer.equals(expected))
+  })
+
+  it('drops chunks from the spill-file, when "size" exceeds "maxSize"', async function () {
+    const stream = await createTestStream({
+      memoryLimit: 4,
+      maxSize: 12
+    })
+    const expected = Buffer.from([0x01, 0x23, 0x45, 0x67])
+
+    const buffer = await stream.getBuffer(4, 4)
+
+    assert(buffer.equals(expected))
+    assert.strictEqual(stream.size(), 12)
+  })
+
+  it('removes the spill-file, when destroyed', async function () {
+    const spillDir = fs.mkdtempSync(`${os.tmpdir()}/streambuffer17-test-`)
+    const stream = await createTestStream({
+      memoryLimit: 4,
+      spillDir
+    })
+
+    assert.strictEqual(fs.readdirSync(spillDir).length, 1)
+
+    const promise = new Promise(resolve => {
+      stream.once('error', resolve)
+    })
+    stream.destroy()
+    await promise
+
+    assert.strictEqual(fs.readdirSync(spillDir).length, 0)
+    fs.rmdirSync(spillDir)
+  })
+
+  it('removes spill-files, once all of their chunks are dropped', async function () {
+    const spillDir = fs.mkdtempSync(`${os.tmpdir()}/streambuffer17-test-`)
+    const stream = createStreamBuffer({
+      store: new StreamBuffer.FileChunkStore({ memoryLimit: 4, dir: spillDir, segmentSize: 8 }),
+      maxSize: 12
+    })
+
+    for (let i = 0; i < 16; i++) {
+      await writePromised(stream, Buffer.alloc(4, i))
+    }
+
+    const spilledSize = fs.readdirSync(spillDir)
+      .reduce((size, file) => size + fs.statSync(`${spillDir}/${file}`).size, 0)
+
+    assert.isAtMost(spilledSize, 16)
+    assert.strictEqual((await stream.getBuffer(12, 52)).toString('hex'), '0d0d0d0d0e0e0e0e0f0f0f0f')
+
+    await stream.clear()
+
+    assert.strictEqual(fs.readdirSync(spillDir).length, 0)
+
+    await endPromised(stream)
+    fs.rmdirSync(spillDir)
+  })
+})
+
+describe('StreamBuffer (compression)', function () {
+  before(async function () {
+    createChunkStore = null
+  })
+
+  async function createCompressibleTestStream (options) {
+    const store = new StreamBuffer.CompressedChunkStore(options)
+    const stream = createStreamBuffer({ store })
+
+    await writePromised(stream, Buffer.from('a'.repeat(1000)))
+    await writePromised(stream, Buffer.from('b'.repeat(1000)))
+    await writePromised(stream, Buffer.from('c'.repeat(1000)))
+    await endPromised(stream)
+
+    // compression runs in the background
+    await store.flush()
+
+    return stream
+  }
+
+  it('replays compressed chunks', async function () {
+    const stream = await createCompressibleTestStream({ algorithm: 'deflate' })
+
+    assert.strictEqual(stream.size(), 3000)
+    assert.isBelow(stream.memoryUsage(), 300)
+    assert.strictEqual((await stream.getBuffer(4, 998)).toString(), 'aabb')
+    assert.strictEqual((await stream.getBuffer(null, 0)).toString(), 'a'.repeat(1000) + 'b'.repeat(1000) + 'c'.repeat(1000))
+  })
+
+  it('decompresses chunks only once for consecutive slices', async function () {
+    const zlib = require('zlib')
+    const inflate = zlib.inflate
+    let inflated = 0
+
+    zlib.inflate = function () {
+      inflated++
+
+      return inflate.apply(this, arguments)
+    }
+
+    try {
+      const stream = await createCompressibleTestStream({ algorithm: 'deflate' })
+      const slices = []
+
+      for await (const chunk of stream.iterate({ offset: 0, length: 2000, chunkSize: 250 })) {
+        slices.push(chunk.toString())
+      }
+
+      assert.strictEqual(slices.join(''), 'a'.repeat(1000) + 'b'.repeat(1000))
+      assert.strictEqual(slices.length, 8)
+      assert.strictEqual(inflated, 2)
+    } finally {
+      zlib.inflate = inflate
+    }
+  })
+
+  it('compresses chunks with the "compression"-option', async function () {
+    const stream = await createTestStream({ compression: 'gzip' })
+
+    assert.strictEqual((await stream.getBuffer(null, 0)).toString('hex'), 'beeffeed0123456789abcdef11233211')
+    assert.throws(() => createStreamBuffer({ compression: 'gzip', memoryLimit: 4 }), 'compression can not be combined with a spill-file!')
+  })
+
+  it('releases the start of compressed chunks', async function () {
+    const stream = await createCompressibleTestStream({ algorithm: 'deflate' })
+
+    await stream.release(1500)
+
+    assert.strictEqual(stream.startOffset(), 1500)
+    assert.strictEqual((await stream.getBuffer(1000, 1500)).toString(), 'b'.repeat(500) + 'c'.repeat(500))
+  })
+
+  it('keeps the most recent bytes uncompressed', async function () {
+    const stream = await createCompressibleTestStream({ algorithm: 'gzip', compressAfter: 2000 })
+
+    assert.isAbove(stream.memoryUsage(), 2000)
+    assert.isBelow(stream.memoryUsage(), 3000)
+  })
+
+  it('supports brotli', async function () {
+    if (!require('zlib').brotliCompress) {
+      this.skip()
+    }
+
+    const stream = await createCompressibleTestStream({ algorithm: 'brotli' })
+
+    assert.isBelow(stream.memoryUsage(), 300)
+    assert.strictEqual((await stream.getBuffer(2, 1999)).toString(), 'bc')
+  })
+})
+
+describe('ObjectStreamBuffer', function () {
+  async function createObjectTestStream (options) {
+    const stream = new StreamBuffer.ObjectStreamBuffer(options)
+
+    await writePromised(stream, { id: 1 })
+    await writePromised(stream, { id: 2, tags: ['a', 'b'] })
+    await writePromised(stream, { id: 3 })
+    await endPromised(stream)
+
+    return stream
+  }
+
+  it('replays records as array', async function () {
+    const stream = await createObjectTestStream()
+
+    assert.strictEqual(stream.size(), 3)
+    assert.deepEqual(await stream.getItems(2, 1), [{ id: 2, tags: ['a', 'b'] }, { id: 3 }])
+    assert.deepEqual((await stream.getItems(null, 0)).map(item => item.id), [1, 2, 3])
+  })
+
+  it('replays records as object-mode stream', async function () {
+    const stream = await createObjectTestStream()
+    const items = []
+
+    for await (const item of stream.getStream(null, 1)) {
+      items.push(item.id)
+    }
+
+    assert.deepEqual(items, [2, 3])
+  })
+
+  it('iterates over records', async function () {
+    const stream = await createObjectTestStream()
+    const items = []
+
+    for await (const item of stream.iterate({ offset: 0 })) {
+      items.push(item.id)
+    }
+
+    assert.deepEqual(items, [1, 2, 3])
+  })
+
+  it('drops records, when their count exceeds "maxSize"', async function () {
+    const stream = await createObjectTestStream({ maxSize: 2 })
+
+    assert.strictEqual(stream.size(), 2)
+    assert.deepEqual(await stream.getItems(null, 1), [{ id: 2, tags: ['a', 'b'] }, { id: 3 }])
+  })
+
+  it('reports the same evicted records to "evict" and "evictTo"', async function () {
+    const archived = []
+    const evictTo = new Writable({
+      objectMode: true,
+      write (item, encoding, callback) {
+        archived.push(item)
+        callback()
+      }
+    })
+    const evicted = []
+    const stream = new StreamBuffer.ObjectStreamBuffer({ maxSize: 1, evictTo })
+
+    stream.on('evict', ({ start, end, chunk }) => evicted.push([start, end, chunk]))
+
+    await writePromised(stream, { id: 1 })
+    await writePromised(stream, { id: 2 })
+    await writePromised(stream, { id: 3 })
+    await endPromised(stream)
+
+    assert.deepEqual(evicted, [[0, 1, { id: 1 }], [1, 2, { id: 2 }]])
+    assert.deepEqual(archived, [{ id: 1 }, { id: 2 }])
+  })
+
+  it('drops records, when their "sizeOf" exceeds "maxSize"', async function () {
+    const stream = await createObjectTestStream({
+      maxSize: 3,
+      sizeOf: item => item.tags ? 2 : 1
+    })
+
+    assert.deepEqual(await stream.getItems(null, 1), [{ id: 2, tags: ['a', 'b'] }, { id: 3 }])
+
+    let failed = false
+
+    try {
+      await stream.getItems(1, 0)
+      failed = true
+    } catch (error) {
+      assert.strictEqual(error.message, 'chunk gone!')
+    }
+
+    assert.isFalse(failed)
+  })
+
+  it('rejects byte-oriented reads', async function () {
+    const stream = await createObjectTestStream()
+    let failed = false
+
+    try {
+      await stream.getBuffer(1, 0)
+      failed = true
+    } catch (error) {
+      assert.strictEqual(error.message, 'not supported in object-mode!')
+    }
+
+    assert.isFalse(failed)
+  })
 })